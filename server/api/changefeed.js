@@ -0,0 +1,126 @@
+/*
+Copyright (C) 2019  Eugene Lockett  gene@noonian.org
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+/**
+ * changefeed.js
+ *  Fans out create/update/delete events for a business object class to subscribers,
+ *  driven by an 'after' DataTrigger on all classes.
+ *
+ *  Each subscriber carries its own filter condition plus the read DAC condition and field restrictions
+ *  of the user that subscribed; an event is only delivered for an object satisfying both.
+ *  Event: {type:'create'|'update'|'delete'|'leave', className, _id, object}
+ *   'leave' is sent (w/out object) when an update takes a previously-visible object out of the subscriber's view.
+ **/
+var _ = require('lodash');
+
+var db = require('./datasource');
+var QueryOpService = db._svc.QueryOpService;
+
+var subscribersByClass = {};
+var nextId = 1;
+
+
+var matches = function(sub, obj) {
+  if(!obj)
+    return false;
+  return (!sub.dacCond || QueryOpService.satisfiesCondition(obj, sub.dacCond)) &&
+    (!sub.condition || QueryOpService.satisfiesCondition(obj, sub.condition));
+};
+
+var restrict = function(sub, obj) {
+  var plain = obj.toPlainObject ? obj.toPlainObject() : _.clone(obj);
+  delete plain._previous;
+  delete plain._current_user;
+  return sub.dacProj ? _.omit(plain, function(v, f) { return sub.dacProj[f] === 0; }) : plain;
+};
+
+var deliver = function(sub, event) {
+  try {
+    sub.send(event);
+  }
+  catch(err) {
+    console.error('change feed: error delivering to subscriber %s: %s', sub.id, err);
+  }
+};
+
+/**
+ * DataTrigger: publish the change to subscribers of the object's class
+ **/
+var publishChange = function(isCreate, isUpdate, isDelete) {
+  var className = this._bo_meta_data.class_name;
+  var subs = subscribersByClass[className];
+  if(!subs || _.isEmpty(subs))
+    return null;
+
+  var THIS = this;
+  var previous = this._previous;
+
+  _.forEach(subs, function(sub) {
+    var event = {className:className, _id:THIS._id};
+
+    if(isDelete) {
+      if(!matches(sub, previous))
+        return;
+      event.type = 'delete';
+      event.object = restrict(sub, previous);
+    }
+    else if(matches(sub, THIS)) {
+      event.type = isCreate ? 'create' : 'update';
+      event.object = restrict(sub, THIS);
+    }
+    else if(isUpdate && matches(sub, previous)) {
+      event.type = 'leave';
+    }
+    else {
+      return;
+    }
+
+    deliver(sub, event);
+  });
+
+  return null; //(subscribers are notified asynchronously; don't hold up the save)
+};
+
+
+/**
+ * Subscribe to changes on a class.
+ * @param className
+ * @param options {condition, dacCond, dacProj} - conditions w/ noonian context already applied
+ * @param send function(event)
+ * @return unsubscribe function
+ **/
+exports.subscribe = function(className, options, send) {
+  var sub = {
+    id:nextId++,
+    condition:options.condition || null,
+    dacCond:options.dacCond || null,
+    dacProj:options.dacProj || null,
+    send:send
+  };
+
+  var subs = subscribersByClass[className] = subscribersByClass[className] || {};
+  subs[sub.id] = sub;
+
+  return function() {
+    delete subs[sub.id];
+  };
+};
+
+
+exports.init = function() {
+  db._svc.DataTriggerService.registerDataTrigger('sys.internal.changeFeed', null, 'after', true, true, true, publishChange);
+};
@@ -0,0 +1,224 @@
+/*
+Copyright (C) 2019  Eugene Lockett  gene@noonian.org
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+/**
+ * audit.js
+ *  System-wide audit trail, kept in the noonian.audit collection:
+ *   every create/update/delete/restore of a BusinessObject is recorded w/ user, timestamp,
+ *   request origin, and a jsondiffpatch delta (previous -> new).
+ *  Creates and deletes also carry a full snapshot, so the state of an object at any point in time
+ *  can be reconstructed by walking back from its current state.
+ *  (disable w/ disableAudit in instance config)
+ **/
+const Q = require('q');
+const _ = require('lodash');
+
+const db = require('./index');
+const DataTriggerService = require('./datatrigger');
+const diffTool = require('./packaging/diffpatch');
+
+const mongoose = require('mongoose');
+
+const AuditEntrySchema = new mongoose.Schema({
+    object_class: String,
+    object_id: String,
+    timestamp: Date,
+    action: String,            //create, update, delete, restore
+    version: String,           //__ver resulting from the change (for delete: the deleted version)
+    previous_version: String,
+    user: mongoose.Schema.Types.Mixed,     //{_id, _disp}
+    origin: mongoose.Schema.Types.Mixed,   //{ip, method, url, user_agent} for changes made via web service
+    //delta and snapshot are stored as JSON strings: the objects may contain keys mongo won't store (e.g. a DAC condition's $and)
+    delta: String,
+    snapshot: String
+  },
+  {collection:'noonian.audit'}
+);
+AuditEntrySchema.index({object_class:1, object_id:1, timestamp:-1});
+
+const AuditEntryModel = mongoose.model('AuditEntry', AuditEntrySchema);
+
+//Classes whose changes are already a record of changes
+const ignoreClasses = {
+  UpdateLog:true
+};
+
+
+/**
+ * @return plain JSON copy of a BO's fields, suitable for diff/patch (function fields become strings)
+ */
+const toDiffable = function(obj, typeDescMap) {
+  var result = {_id:obj._id, __ver:obj.__ver}; //(diffTool ignores _-prefixed properties)
+  _.forEach(typeDescMap, function(td, fieldName) {
+    var v = obj[fieldName];
+    if(fieldName.indexOf('_') === 0 || v === undefined)
+      return;
+    result[fieldName] = (typeof v === 'function') ? ''+v : v;
+  });
+  return JSON.parse(JSON.stringify(result));
+};
+
+const userStub = function(user) {
+  return user ? {_id:user._id, _disp:user._disp} : null;
+};
+
+const parseEntry = function(entry) {
+  entry.delta = entry.delta ? JSON.parse(entry.delta) : null;
+  entry.snapshot = entry.snapshot ? JSON.parse(entry.snapshot) : null;
+  delete entry.__v;
+  return entry;
+};
+
+
+/**
+ * DataTrigger on all classes; records the change.
+ *  saveOptions carry currentUser and origin for saves; removes carry them in saveOptions.context
+ */
+const auditLogger = function(isCreate, isUpdate, isDelete, saveOptions) {
+  var typeDescMap = this._bo_meta_data.type_desc_map;
+  var myClass = this._bo_meta_data.class_name;
+
+  if(ignoreClasses[myClass]) {
+    return;
+  }
+
+  saveOptions = saveOptions || {};
+  var context = saveOptions.context || {};
+
+  var entry = {
+    object_class:myClass,
+    object_id:this._id,
+    timestamp:new Date(),
+    user:userStub(saveOptions.currentUser || context.currentUser || this._current_user),
+    origin:saveOptions.origin || context.origin || null
+  };
+
+  if(isCreate) {
+    entry.action = 'create';
+    entry.version = this.__ver;
+    entry.snapshot = JSON.stringify(toDiffable(this, typeDescMap));
+  }
+  else if(isUpdate) {
+    entry.action = saveOptions.restoreFromTrash ? 'restore' : 'update';
+    entry.version = this.__ver;
+    entry.previous_version = this._previous.__ver;
+    var delta = diffTool.diff(toDiffable(this._previous, typeDescMap), toDiffable(this, typeDescMap));
+    entry.delta = delta ? JSON.stringify(delta) : null;
+  }
+  else {
+    var previous = this._previous || {};
+    entry.action = 'delete';
+    entry.version = previous.__ver;
+    entry.snapshot = JSON.stringify(toDiffable(previous, typeDescMap));
+  }
+
+  //The change is already persisted; a failure to audit shouldn't be reported as a failure to save
+  return new AuditEntryModel(entry).save().then(null, function(err) {
+    console.error('[AUDIT] failed to record %s of %s.%s: %s', entry.action, myClass, entry.object_id, err);
+  });
+};
+
+
+/**
+ * @param options {since, until, limit, skip}
+ * @return promise resolving to audit entries for an object, most recent first
+ */
+exports.getHistory = function(className, id, options) {
+  options = options || {};
+
+  var queryObj = {object_class:className, object_id:id};
+  if(options.since || options.until) {
+    queryObj.timestamp = {};
+    if(options.since)
+      queryObj.timestamp.$gte = options.since;
+    if(options.until)
+      queryObj.timestamp.$lte = options.until;
+  }
+
+  var query = AuditEntryModel.find(queryObj).sort({timestamp:-1, _id:-1});
+  if(options.skip)
+    query.skip(options.skip);
+  if(options.limit)
+    query.limit(options.limit);
+
+  return query.lean().exec().then(function(entries) {
+    return _.map(entries, parseEntry);
+  });
+};
+
+/**
+ * @return promise resolving to the last recorded state of a deleted object (null if there's no delete entry)
+ */
+exports.getLastSnapshot = function(className, id) {
+  return AuditEntryModel.findOne({object_class:className, object_id:id, action:'delete'})
+    .sort({timestamp:-1, _id:-1}).lean().exec()
+    .then(function(entry) {
+      return entry ? parseEntry(entry).snapshot : null;
+    });
+};
+
+/**
+ * Reconstruct an object as it was at a point in time, by starting from its current state and
+ *  reverting each change recorded after asOf.
+ * @return promise resolving to plain object, or null if the object didn't exist at asOf
+ *  (for an object predating the audit trail, the earliest known state is as far back as it goes)
+ */
+exports.getObjectAsOf = function(className, id, asOf) {
+  var TargetModel = db[className];
+  var typeDescMap = TargetModel._bo_meta_data.type_desc_map;
+
+  return Q.all([
+    TargetModel.findOne(db.includeDeleted({_id:id})).exec(),
+    AuditEntryModel.find({object_class:className, object_id:id, timestamp:{$gt:asOf}})
+      .sort({timestamp:-1, _id:-1}).lean().exec()
+  ])
+  .then(function(resultArr) {
+    var current = resultArr[0];
+    var laterEntries = resultArr[1];
+
+    var state = (current && !current.__deleted) ? toDiffable(current, typeDescMap) : null;
+
+    _.forEach(laterEntries, function(entry) {
+      entry = parseEntry(entry);
+      if(entry.action === 'create' || entry.action === 'restore') {
+        state = null;  //didn't exist before this entry
+      }
+      else if(entry.action === 'delete') {
+        state = entry.snapshot;
+      }
+      else if(state) {
+        if(entry.delta)
+          state = diffTool.unpatch(state, entry.delta);
+        state.__ver = entry.previous_version;
+      }
+    });
+
+    return state;
+  });
+};
+
+
+exports.init = function(conf) {
+  if(conf.disableAudit) {
+    console.log('audit trail disabled');
+    return Q(true);
+  }
+
+  console.log('initializing audit trail');
+  DataTriggerService.registerDataTrigger('sys.internal.auditTrail', null, 'after', true, true, true, auditLogger, 100);
+  return Q(true);
+};
@@ -0,0 +1,211 @@
+/*
+Copyright (C) 2019  Eugene Lockett  gene@noonian.org
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+/**
+ * clusterbus.js
+ *  Cache invalidation across multiple Noonian instances sharing a database (enableClusterBus in instance config).
+ *
+ *  Changes to the classes whose objects are cached in process memory (BusinessObjectDef, CodeModule, DataTrigger, ...)
+ *  are published to the capped collection noonian.invalidations.  Every instance tails that collection, and for
+ *  messages from other instances, replays only the sys.internal cache-maintenance DataTriggers (selected via keyFilter)
+ *  against the object as currently in the database, so caches are rebuilt without repeating any other side effects.
+ *  Replays are run w/ saveOptions {remoteChange:true}; work that touches the database rather than process memory
+ *  (e.g. index sync and computed field recompute on a BusinessObjectDef change) is left to the originating instance.
+ *
+ *  Saves w/ skipTriggers (e.g. package import) don't run publishChange; those paths call publish() directly.
+ **/
+const Q = require('q');
+const _ = require('lodash');
+
+const db = require('./index');
+const DataTriggerService = require('./datatrigger');
+const instanceId = require('./lock').instanceId;
+
+const mongoose = require('mongoose');
+
+const InvalidationSchema = new mongoose.Schema({
+    origin: String,      //instance id of publisher
+    class_name: String,
+    object_id: String,
+    op: String,          //create, update, delete; 'mark' for an instance's own position marker
+    previous: String,    //JSON-serialized _previous of the change
+    ts: Date
+  },
+  {collection:'noonian.invalidations', capped:{size:5*1024*1024, max:10000}}
+);
+
+const InvalidationModel = mongoose.model('Invalidation', InvalidationSchema);
+
+//Classes whose changes are published
+const BROADCAST_CLASSES = {
+  BusinessObjectDef:true,
+  CodeModule:true,
+  DataTrigger:true,
+  WebSocketServer:true,
+  Config:true,
+  ScheduleTrigger:true,
+  QueryOp:true,
+  WebService:true,
+  DataExport:true,
+  DataAccessControl:true,
+  BusinessObjectPackage:true
+};
+
+//The in-memory cache DataTriggers replayed for remote changes
+const REPLAY_KEYS = [
+  'dbUpdate', 'dataTriggerCacheUpdate', 'invoker', 'websocket', 'scheduler',
+  'graphqlQueryOps', 'openapiWebService', 'openapiDataExport', 'openapiPackage', 'business_object_package', 'liveQueryDacs'
+];
+const REPLAY_FILTER = '^sys\\.internal\\.('+REPLAY_KEYS.join('|')+')$';
+
+//Delay before re-tailing after the cursor is lost
+const RETAIL_DELAY = 5000;
+
+var enabled = false;
+
+
+/**
+ * Publish a change to an object of a broadcast class to the other instances
+ * @param op create, update or delete
+ * @param previous the object's prior state, if any
+ */
+const publish =
+exports.publish = function(className, objectId, op, previous) {
+  if(!enabled || !BROADCAST_CLASSES[className]) {
+    return;
+  }
+
+  var msg = new InvalidationModel({
+    origin:instanceId,
+    class_name:className,
+    object_id:objectId,
+    op:op,
+    previous:previous ? JSON.stringify(previous) : null,
+    ts:new Date()
+  });
+
+  msg.save().then(null, function(err) {
+    console.error('[CLUSTER] failed to publish %s of %s.%s: %s', op, className, objectId, err);
+  });
+};
+
+
+/**
+ * DataTrigger: publish changes to broadcast classes
+ */
+const publishChange = function(isCreate, isUpdate, isDelete) {
+  publish(this._bo_meta_data.class_name, this._id, isCreate ? 'create' : (isUpdate ? 'update' : 'delete'), this._previous);
+  return null;
+};
+
+
+/**
+ * Replay cache-maintenance triggers for a change made by another instance
+ */
+const applyRemoteChange = function(msg) {
+  var TargetModel = db[msg.class_name];
+  if(!TargetModel) {
+    return Q(true);
+  }
+
+  var previous = msg.previous ? JSON.parse(msg.previous) : null;
+  var replayOptions = {remoteChange:true};
+
+  if(msg.op === 'delete') {
+    var modelObjStub = {
+      _id:msg.object_id,
+      _previous:previous,
+      _bo_meta_data:TargetModel._bo_meta_data
+    };
+    return DataTriggerService.processAfterDelete(modelObjStub, REPLAY_FILTER, replayOptions);
+  }
+
+  return TargetModel.findOne({_id:msg.object_id}).exec().then(function(modelObj) {
+    if(!modelObj) {
+      return; //(since deleted; a delete message will follow)
+    }
+    if(msg.op === 'create') {
+      return DataTriggerService.processAfterCreate(modelObj, REPLAY_FILTER, replayOptions);
+    }
+    modelObj._previous = previous;
+    return DataTriggerService.processAfterUpdate(modelObj, REPLAY_FILTER, replayOptions);
+  });
+};
+
+
+/**
+ * Tail noonian.invalidations.  Messages are read in insertion order, starting after the last one processed,
+ *  or (if that has aged out of the capped collection, or on startup) after a fresh position marker.
+ */
+var lastProcessedId = null;
+var queue = Q(true);
+
+const tail = function() {
+  var marker = new InvalidationModel({origin:instanceId, op:'mark', ts:new Date()});
+
+  marker.save().then(function() {
+    var started = false;
+    var cursor = InvalidationModel.find({}).tailable(true, {awaitdata:true}).cursor();
+
+    cursor.on('data', function(msg) {
+      if(!started) {
+        started = (lastProcessedId && msg._id.equals(lastProcessedId)) || msg._id.equals(marker._id);
+        return;
+      }
+      lastProcessedId = msg._id;
+
+      if(msg.origin === instanceId || msg.op === 'mark') {
+        return;
+      }
+
+      //Apply in order
+      queue = queue.then(function() {
+        return applyRemoteChange(msg);
+      })
+      .then(null, function(err) {
+        console.error('[CLUSTER] failed to apply %s of %s.%s: %s', msg.op, msg.class_name, msg.object_id, err);
+      });
+    });
+
+    var retail = _.once(function() {
+      console.log('[CLUSTER] invalidation cursor closed; re-tailing in %dms', RETAIL_DELAY);
+      setTimeout(tail, RETAIL_DELAY);
+    });
+    cursor.on('error', function(err) {
+      console.error('[CLUSTER] invalidation cursor error: %s', err);
+      retail();
+    });
+    cursor.on('close', retail);
+  },
+  function(err) {
+    console.error('[CLUSTER] unable to write to noonian.invalidations: %s', err);
+    setTimeout(tail, RETAIL_DELAY);
+  });
+};
+
+
+exports.init = function(conf) {
+  if(!conf.enableClusterBus) {
+    return Q(true);
+  }
+
+  console.log('initializing cluster invalidation bus; instance %s', instanceId);
+  enabled = true;
+  DataTriggerService.registerDataTrigger('sys.internal.clusterPublish', null, 'after', true, true, true, publishChange, 200);
+  tail();
+  return Q(true);
+};
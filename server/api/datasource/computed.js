@@ -0,0 +1,201 @@
+/*
+Copyright (C) 2019  Eugene Lockett  gene@noonian.org
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+/**
+ * computed.js
+ *  Computed fields: a field whose type descriptor has "computed" is calculated from the object's other fields
+ *  (including denormalized fields of its references):
+ *   "total":{"type":"number", "computed":{"expression":"quantity * unit_price", "persist":true}}
+ *   "label":{"type":"string", "computed":{"fn":"function(obj, _) { return obj.customer.name+': '+obj.code; }"}}
+ *
+ *  expression: a javascript expression w/ the object's fields in scope (and _ for lodash)
+ *  fn: function invoked w/ injectables (obj, plus the usual globals); "this" is the object
+ *
+ *  Virtual (the default): not stored; computed on access and included in JSON output.
+ *  Persisted (persist:true): stored like a regular field, so it can be queried and sorted on; recomputed on every save
+ *   (including the re-saves references.js does when a referenced object changes, keeping denormalized inputs fresh),
+ *   and recomputed for existing objects when a BusinessObjectDef adds or changes it.
+ **/
+var Q = require('q');
+var _ = require('lodash');
+
+var db = require('./index');
+var FieldTypeService = require('./fieldtypes');
+var invokerTool = require('../../tools/invoker');
+
+
+var isValidParamName = function(name) {
+  try {
+    new Function(name, '');
+    return true;
+  }
+  catch(err) {
+    return false; //(e.g. a field named w/ a reserved word)
+  }
+};
+
+/**
+ * Compile a computed field's declaration into fn(modelObj) -> value
+ * @return the function, or null if the declaration is invalid
+ **/
+var compile = function(spec, fieldNames, label) {
+  try {
+    if(spec.expression) {
+      var paramNames = _.filter(fieldNames, isValidParamName);
+      var exprFn = new Function(paramNames.concat('_').join(','), 'return ('+spec.expression+');');
+      return function(modelObj) {
+        var args = _.map(paramNames, function(f) { return modelObj[f]; });
+        args.push(_);
+        return exprFn.apply(modelObj, args);
+      };
+    }
+    if(spec.fn) {
+      var fn = typeof spec.fn === 'function' ? spec.fn : new Function('return ('+spec.fn+');')();
+      return function(modelObj) {
+        return invokerTool.invokeInjected(fn, {obj:modelObj}, modelObj);
+      };
+    }
+    console.error('Computed field %s has neither expression nor fn', label);
+  }
+  catch(err) {
+    console.error('Bad computed field %s: %s', label, err);
+  }
+  return null;
+};
+
+/**
+ * Compile the computed fields of a class
+ * @return {fieldName:{persist, compute:fn(modelObj)}}
+ **/
+exports.compileComputedFields = function(typeDescMap, className) {
+  var fieldNames = _.filter(Object.keys(typeDescMap), function(f) { return f.indexOf('_') !== 0; });
+  var result = {};
+
+  _.forEach(typeDescMap, function(td, fieldName) {
+    if(fieldName.indexOf('_') === 0 || !td || !td.computed)
+      return;
+    var compute = compile(td.computed, _.without(fieldNames, fieldName), className+'.'+fieldName);
+    if(compute) {
+      result[fieldName] = {persist:!!td.computed.persist, compute:compute};
+    }
+  });
+
+  return result;
+};
+
+/**
+ * @return the computed value (null if it throws)
+ **/
+var computeValue = function(modelObj, fieldName, cf) {
+  try {
+    var value = cf.compute(modelObj);
+    return value === undefined ? null : value;
+  }
+  catch(err) {
+    console.error('Error computing %s.%s for %s: %s', modelObj._bo_meta_data.class_name, fieldName, modelObj._id, err);
+    return null;
+  }
+};
+
+/**
+ * Define getters for virtual computed fields, and include them in JSON output
+ **/
+exports.addVirtuals = function(schema, computedFields) {
+  var virtuals = _.pick(computedFields, function(cf) { return !cf.persist; });
+  if(_.isEmpty(virtuals))
+    return;
+
+  _.forEach(virtuals, function(cf, fieldName) {
+    schema.virtual(fieldName).get(function() {
+      return computeValue(this, fieldName, cf);
+    });
+  });
+
+  schema.set('toJSON', {
+    transform:function(doc, ret) {
+      if(doc._bo_meta_data) { //(not for embedded values)
+        _.forEach(virtuals, function(cf, fieldName) {
+          ret[fieldName] = computeValue(doc, fieldName, cf);
+        });
+      }
+      return ret;
+    }
+  });
+};
+
+/**
+ * Set a model object's persisted computed fields (called on save, after "before" data triggers)
+ **/
+var applyPersisted =
+exports.applyPersisted = function(modelObj) {
+  _.forEach(modelObj._bo_meta_data.computed_fields, function(cf, fieldName) {
+    if(cf.persist) {
+      modelObj[fieldName] = computeValue(modelObj, fieldName, cf);
+    }
+  });
+};
+
+/**
+ * Recompute persisted computed fields of every object in a class's collection,
+ *  updating them directly (no data triggers, no new version)
+ * @return promise resolving to the number of objects updated
+ **/
+exports.recompute = function(className) {
+  var Model = db[className];
+  if(!Model || !Model.collection)
+    return Q.reject(new Error('invalid class '+className));
+
+  var collectionName = Model.collection.name;
+
+  //Leaf classes only: querying a superclass's model would also hydrate its subclasses' objects
+  var leafModels = _.filter(_.map(db.getClassNames(), function(cn) { return db[cn]; }), function(M) {
+    return M.collection && M.collection.name === collectionName && _.isEmpty(M.discriminators) &&
+      _.some(M._bo_meta_data.computed_fields, 'persist');
+  });
+
+  var count = 0;
+  return _.reduce(leafModels, function(promise, LeafModel) {
+    var persisted = Object.keys(_.pick(LeafModel._bo_meta_data.computed_fields, function(cf) { return cf.persist; }));
+
+    return promise.then(function() {
+      var deferred = Q.defer();
+      var pending = [];
+      var stream = LeafModel.find(db.includeDeleted({})).cursor();
+
+      stream.on('data', function(modelObj) {
+        FieldTypeService.processFromDb(modelObj); //(post-find hooks don't run for cursors)
+        applyPersisted(modelObj);
+        FieldTypeService.processToDb(modelObj);
+        var update = {};
+        _.forEach(persisted, function(f) {
+          update[f] = modelObj[f];
+        });
+        pending.push(Q(LeafModel.collection.update({_id:modelObj._id}, {$set:update})));
+        count++;
+      });
+      stream.on('error', deferred.reject);
+      stream.on('end', function() {
+        deferred.resolve(Q.all(pending));
+      });
+      return deferred.promise;
+    });
+  }, Q(true))
+  .then(function() {
+    console.log('Recomputed persisted computed fields on %d objects in %s', count, collectionName);
+    return count;
+  });
+};
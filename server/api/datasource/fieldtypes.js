@@ -216,6 +216,9 @@ var processToFromDb = function(modelObj, toFromFn) {
 
   //Build a field_type_handlers maping: field name -> FieldType object
   _.forEach(typeDescMap, function(td, fieldName) {
+    if(td && td.computed && !td.computed.persist) {
+      return; //virtual computed field: nothing stored
+    }
     var ft = getFieldTypeHandler(td);
     if(!ft) {
       return;
@@ -44,9 +44,16 @@ exports._svc = {};
 var FieldTypeService = exports._svc.FieldTypeService = require('./fieldtypes');
 var DataTriggerService = exports._svc.DataTriggerService = require('./datatrigger');
 var QueryOpService = exports._svc.QueryOpService = require('./query');
+var QueryPlanService = exports._svc.QueryPlanService = require('./queryplan');
 var GridFsService = exports._svc.GridFsService = require('./gridfs');
 var RefService = exports._svc.RefService = require('./references');
 var PackagingService = exports._svc.PackagingService = require('./packaging');
+var AuditService = exports._svc.AuditService = require('./audit');
+var LockService = exports._svc.LockService = require('./lock');
+var IndexService = exports._svc.IndexService = require('./indexes');
+var ValidationService = exports._svc.ValidationService = require('./validation');
+var ComputedFieldService = exports._svc.ComputedFieldService = require('./computed');
+var ClusterBusService = exports._svc.ClusterBusService = require('./clusterbus');
 
 var invokerTool = require('../../tools/invoker');
 
@@ -160,16 +167,14 @@ var matchTextGenerator = function() {
 }
 
 /**
- * Method on _bo_meta_data that retrieves the typeDescriptor object for the specified path.
- * path can be  a simple fieldname or dotted into reference fields, e.g.:
- *   db.SomeBusinessObj._bo_meta_data.getTypeDescriptor('refField.blah');
+ * Resolve a path w/in a type_desc_map, recursing into composites (and, via their models, references)
  **/
-var getTypeDescriptor = function(path) {
+var typeDescriptorForPath = function(typeDescMap, path) {
   var dotPos = path.indexOf('.');
   if(dotPos === -1) {
     //just a field name
     if(path.indexOf('_') !== 0) {
-      return this.type_desc_map[path];
+      return typeDescMap && typeDescMap[path];
     }
     return null;
   }
@@ -177,42 +182,54 @@ var getTypeDescriptor = function(path) {
   var localField = path.substring(0, dotPos);
   var subPath = path.substring(dotPos+1);
 
-  var localTd = this.type_desc_map[localField];
+  var localTd = typeDescMap && typeDescMap[localField];
   if(localTd && localTd.type === 'reference' && modelCache[localTd.ref_class]) {
     var refModel = modelCache[localTd.ref_class];
     return refModel._bo_meta_data.getTypeDescriptor(subPath);
   }
   else if(localTd && localTd.type === 'composite') {
-    //TODO this only works to go one level deep, disallowing composites or refs w/in composites!
-    // probably need composite's nested type_desc_map to be augmented w/ getTypeDescriptor function....
-    return localTd.type_desc_map && localTd.type_desc_map[subPath];
+    return typeDescriptorForPath(localTd.type_desc_map, subPath);
   }
   else { 
     //dotted into a non-reference or a non-existent field:
     // console.error('attempted to get TD for class %s path %s', this.class_name, path);
     return null;
   }
+};
+
+/**
+ * Method on _bo_meta_data that retrieves the typeDescriptor object for the specified path.
+ * path can be  a simple fieldname or dotted into reference fields and composites (to any depth), e.g.:
+ *   db.SomeBusinessObj._bo_meta_data.getTypeDescriptor('refField.blah');
+ **/
+var getTypeDescriptor = function(path) {
+  return typeDescriptorForPath(this.type_desc_map, path);
 }
 
 /**
  * Creates the _bo_meta_data object attached to every BusinessObject model
  **/
 var createMetaObj = function(forBod) {
-  var typeDescMap = _.clone(forBod.definition);
+  var typeDescMap = _.omit(forBod.definition, ['_indexes', '_validations']); //(kept separately; shouldn't merge w/ superclass's)
   
   var metaObj = {
     class_name: forBod.class_name,
     type_descriptor: typeDescMap,  //need to clean up old code that uses this badly-named
     type_desc_map: typeDescMap,
     getTypeDescriptor: getTypeDescriptor,
-    bod_id:forBod._id
+    bod_id:forBod._id,
+    declared_indexes: (forBod.definition && forBod.definition._indexes) || [],
+    validations: (forBod.definition && forBod.definition._validations) || []
   };
 
   if(forBod.superclass) {
     var SuperModel = modelById[forBod.superclass._id];
     _.merge(metaObj.type_desc_map, SuperModel._bo_meta_data.type_desc_map);
+    metaObj.validations = SuperModel._bo_meta_data.validations.concat(metaObj.validations);
   }
 
+  metaObj.computed_fields = ComputedFieldService.compileComputedFields(metaObj.type_desc_map, forBod.class_name);
+
 
   return metaObj;
 }
@@ -234,6 +251,9 @@ var createMongoSchema = function(forBod) {
       continue;
 
 		var td = forBod.definition[fieldName];
+    if(td && td.computed && !td.computed.persist)
+      continue; //virtual computed field; see computed.js
+
 		var isArray = false;
 		if(Array.isArray(td) ) {
 			isArray = true;
@@ -277,6 +297,9 @@ var createMongoSchema = function(forBod) {
   mongoSchemaDef.__disp = String;
   
   mongoSchemaDef.__match_text = Mixed;
+  
+  //__deleted marks objects in the trash for classes w/ _soft_delete
+  mongoSchemaDef.__deleted = Mixed;
 
   var mongoSchema;
   var schemaOptions = {collection:forBod.class_name};
@@ -320,6 +343,9 @@ var createMongoSchema = function(forBod) {
   mongoSchema.virtual('_disp').get(dispGenerator);
   mongoSchema.virtual('_match_text').get(matchTextGenerator);
 
+  //getters for virtual computed fields
+  ComputedFieldService.addVirtuals(mongoSchema, mongoSchema._bo_meta_data.computed_fields);
+
 
   //Add text indexing
   // if(Object.keys(indexObj).length > 0) {
@@ -501,7 +527,37 @@ var clearModel = function(className) {
 };
 
 
+/**
+ * Bring the indexes on a class's collection in line w/ its declared _indexes, logging any failure
+ * @param rebuildMatchText true if _fulltext_matches templates changed, so __match_text needs recomputing
+ **/
+var syncIndexesInBackground = function(className, rebuildMatchText) {
+  IndexService.syncIndexes(className, {rebuildMatchText:rebuildMatchText}).then(null, function(err) {
+    console.error('Unable to sync indexes for %s: %s', className, err);
+  });
+};
+
 var pendingBodsToInstall = {};
+var fulltextTemplatesChanged = function(prevDefinition, newDefinition) {
+  return !_.isEqual(prevDefinition && prevDefinition._fulltext_matches, newDefinition && newDefinition._fulltext_matches);
+};
+
+var persistedComputedFieldsChanged = function(prevDefinition, newDefinition) {
+  var persistedComputed = function(definition) {
+    return _.pick(definition, function(td) { return td && td.computed && td.computed.persist; });
+  };
+  return !_.isEqual(persistedComputed(prevDefinition), persistedComputed(newDefinition));
+};
+
+/**
+ * Recompute persisted computed fields for existing objects of a class, logging any failure
+ **/
+var recomputeInBackground = function(className) {
+  ComputedFieldService.recompute(className).then(null, function(err) {
+    console.error('Unable to recompute computed fields for %s: %s', className, err);
+  });
+};
+
 /**
  * Creates or updates BOD in the database, and adds it to the Model cache
  * @param bodObj - a plain-object representation of a BusinessObjectDef
@@ -526,8 +582,17 @@ exports.installBusinessObjectDef = function(bodObj) {
     clearModel(className);
   }
 
+  var rebuildMatchText = false;
+  var recompute = false;
+  var isCreate = false;
+  var previous = null;
+
   return BusinessObjectDef.findOne({_id:bodObj._id}).then(function(currBod) {
+    isCreate = !currBod;
     if(currBod) {
+      previous = currBod.toPlainObject();
+      rebuildMatchText = fulltextTemplatesChanged(currBod.definition, bodObj.definition || currBod.definition);
+      recompute = persistedComputedFieldsChanged(currBod.definition, bodObj.definition || currBod.definition);
       var keepVersion;
       if(bodObj.__ver) {
         //We want to retain the __ver that was passed in so as to keep consistent w/ package manifest.
@@ -547,6 +612,14 @@ exports.installBusinessObjectDef = function(bodObj) {
       //restore any memberfunctions we may have trampled
       return augmentModelsWithMemberFunctions(className);
   })
+  .then(function() {
+      syncIndexesInBackground(className, rebuildMatchText);
+      if(recompute)
+        recomputeInBackground(className);
+      //(saved w/ skipTriggers, so bodUpdate and the cluster bus publish trigger didn't run)
+      notifyModelUpdate(className, isCreate, false);
+      ClusterBusService.publish('BusinessObjectDef', bodObj._id, isCreate ? 'create' : 'update', previous);
+  })
   .then(function() {
       //Any BODs waiting for this one
       if(pendingBodsToInstall[bodObj._id]) {
@@ -570,18 +643,65 @@ exports.installBusinessObjectDef = function(bodObj) {
  * @this - the BusinessObjectDef object
  * @param isCreate, isDelete - injected from DataTrigger logic
  **/
-var bodUpdate = function(isCreate, isDelete) {
+var bodUpdate = function(isCreate, isDelete, saveOptions) {
   var className = this.class_name || this._previous.class_name;
+  //A change replayed from another instance (see clusterbus.js) only refreshes the in-memory model;
+  // the originating instance syncs indexes and recomputes
+  var isRemote = !!(saveOptions && saveOptions.remoteChange);
   console.log('Refreshing model cache on %s', className);
 
   if(!isCreate) {
     clearModel(className);
   }
 
-  if(!isDelete)
+  if(!isDelete) {
     createAndCacheModel(this);
+    if(!isRemote) {
+      syncIndexesInBackground(className, !isCreate && this._previous && fulltextTemplatesChanged(this._previous.definition, this.definition));
+      if(!isCreate && this._previous && persistedComputedFieldsChanged(this._previous.definition, this.definition))
+        recomputeInBackground(className);
+    }
+  }
+  else if(!isRemote && this._previous.superclass && modelById[this._previous.superclass._id]) {
+    //drop the deleted subclass's indexes from the collection it shared
+    syncIndexesInBackground(modelById[this._previous.superclass._id]._bo_meta_data.class_name);
+  }
+
+  notifyModelUpdate(className, isCreate, isDelete);
 }
 
+var modelUpdateListeners = [];
+var notifyModelUpdate = function(className, isCreate, isDelete) {
+  _.forEach(modelUpdateListeners, function(fn) {
+    fn(className, isCreate, isDelete);
+  });
+};
+
+/**
+ * Register fn(className, isCreate, isDelete) to be called after a model is rebuilt due to a BusinessObjectDef change
+ *  (incl. installs by a package)
+ **/
+exports.onModelUpdate = function(fn) {
+  modelUpdateListeners.push(fn);
+};
+
+/**
+ * Mark query criteria to include soft-deleted objects.
+ *  (the flag is non-enumerable, so it can't arrive in criteria parsed from client input; see mongoose_intercept)
+ * @return criteria
+ **/
+exports.includeDeleted = function(criteria) {
+  Object.defineProperty(criteria, '$includeDeleted', {value:true, configurable:true});
+  return criteria;
+};
+
+/**
+ * @return names of all classes currently in the model cache
+ **/
+exports.getClassNames = function() {
+  return Object.keys(modelCache);
+};
+
 /**
  * Bootstrap a clean database
  **/
@@ -668,6 +788,8 @@ exports.init = function(conf) {
       .then(GridFsService.init.bind(null, conf))
       .then(RefService.init.bind(null, conf))
       .then(PackagingService.init)
+      .then(AuditService.init.bind(null, conf))
+      .then(ClusterBusService.init.bind(null, conf))
       .then(invokerTool.init)
       .then(augmentModelsWithMemberFunctions)
       .then(function() {
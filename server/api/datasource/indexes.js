@@ -0,0 +1,382 @@
+/*
+Copyright (C) 2019  Eugene Lockett  gene@noonian.org
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+/**
+ * indexes.js
+ *  Indexes declared in a BusinessObjectDef's definition, under _indexes:
+ *   "_indexes":[
+ *     {"fields":{"name":1}},
+ *     {"fields":{"org":1, "code":1}, "unique":true},
+ *     {"fields":{"expires":1}, "expire_after_seconds":0},
+ *     {"fields":{"status":1}, "partial":{"status":"open"}},
+ *     {"fields":{"title":"text", "body":"text"}, "weights":{"title":5}, "name":"search"}
+ *   ]
+ *  (also accepted per index: sparse, default_language)
+ *
+ *  Declared indexes are created in mongo w/ names prefixed "noonian_"; syncIndexes() creates missing ones,
+ *  re-creates changed ones, and drops "noonian_" indexes no longer declared. Other indexes are left alone.
+ *  Classes sharing a collection (subclasses) share its indexes.
+ *
+ *  A collection holding a class w/ _fulltext_matches also gets the text index noonian_fulltext on __match_text
+ *  (mongo allows one text index per collection, so _indexes can't declare another there);
+ *  __match_text is recomputed for the whole collection when that index is (re)created.
+ **/
+var Q = require('q');
+var _ = require('lodash');
+
+var db = require('./index');
+
+var PREFIX = 'noonian_';
+
+var FULLTEXT_INDEX = PREFIX+'fulltext';
+
+//Mongo error codes
+var INDEX_NOT_FOUND = 27;
+var DUPLICATE_KEY = 11000;
+
+
+var indexName = function(decl) {
+  if(decl.name)
+    return PREFIX+decl.name;
+  return PREFIX+_.map(decl.fields, function(dir, f) { return f+'_'+dir; }).join('_');
+};
+
+/**
+ * Convert an _indexes entry to {name, key, options}
+ * @return the spec, or a string describing why it's invalid
+ **/
+var normalize = function(decl, typeDescMap) {
+  var fields = decl && decl.fields;
+  if(Array.isArray(fields)) {
+    fields = _.zipObject(fields, _.map(fields, _.constant(1)));
+  }
+  if(!fields || typeof fields !== 'object' || _.isEmpty(fields))
+    return 'index requires fields';
+
+  var badField = _.find(Object.keys(fields), function(f) {
+    var top = f.split('.')[0];
+    return !(top === '_id' || top.indexOf('__') === 0 || (top.indexOf('_') !== 0 && typeDescMap[top]));
+  });
+  if(badField)
+    return 'unknown field '+badField;
+
+  var isText = _.contains(_.values(fields), 'text');
+
+  var name = indexName({name:decl.name, fields:fields});
+  var options = {name:name};
+  if(decl.unique)
+    options.unique = true;
+  if(decl.sparse)
+    options.sparse = true;
+  if(decl.expire_after_seconds !== undefined)
+    options.expireAfterSeconds = +decl.expire_after_seconds;
+  if(decl.partial)
+    options.partialFilterExpression = decl.partial;
+  if(isText) {
+    options.weights = _.assign(
+      _.mapValues(_.pick(fields, function(dir) { return dir === 'text'; }), _.constant(1)),
+      decl.weights
+    );
+    if(decl.default_language)
+      options.default_language = decl.default_language;
+  }
+
+  return {name:name, key:fields, options:options};
+};
+
+/**
+ * Does an existing index (as from collection.indexes()) match a declared spec?
+ **/
+var matches = function(spec, actual) {
+  var opts = spec.options;
+
+  if(opts.weights) {
+    if(!actual.key._fts || !_.isEqual(actual.weights, opts.weights))
+      return false;
+    if((actual.default_language || 'english') !== (opts.default_language || 'english'))
+      return false;
+  }
+  else if(JSON.stringify(actual.key) !== JSON.stringify(spec.key)) {
+    return false; //(key order matters)
+  }
+
+  return !!actual.unique === !!opts.unique &&
+    !!actual.sparse === !!opts.sparse &&
+    actual.expireAfterSeconds === opts.expireAfterSeconds &&
+    _.isEqual(actual.partialFilterExpression, opts.partialFilterExpression);
+};
+
+var modelsForCollection = function(collectionName) {
+  return _.filter(_.map(db.getClassNames(), function(className) {
+    return db[className];
+  }), function(Model) {
+    return Model && Model.collection && Model.collection.name === collectionName;
+  });
+};
+
+/**
+ * @return {specs:[{name, key, options}], problems:[{class_name, index, message}]} for every class stored in a collection
+ **/
+var getDeclaredIndexes =
+exports.getDeclaredIndexes = function(collectionName) {
+  var specs = {};
+  var problems = [];
+  var models = modelsForCollection(collectionName);
+
+  var hasFulltext = _.some(models, function(Model) {
+    return Model._bo_meta_data.type_desc_map._fulltext_matches;
+  });
+  if(hasFulltext) {
+    specs[FULLTEXT_INDEX] = {
+      name:FULLTEXT_INDEX,
+      key:{__match_text:'text'},
+      options:{name:FULLTEXT_INDEX, weights:{__match_text:1}}
+    };
+  }
+
+  _.forEach(models, function(Model) {
+    var metaData = Model._bo_meta_data;
+    _.forEach(metaData.declared_indexes, function(decl, i) {
+      var spec = normalize(decl, metaData.type_desc_map);
+      if(typeof spec === 'string')
+        problems.push({class_name:metaData.class_name, index:i, message:spec});
+      else if(hasFulltext && spec.options.weights)
+        problems.push({class_name:metaData.class_name, index:i, message:'collection already has text index '+FULLTEXT_INDEX+' (from _fulltext_matches)'});
+      else if(specs[spec.name] && !_.isEqual(specs[spec.name], spec))
+        problems.push({class_name:metaData.class_name, index:i, message:'conflicts w/ another declaration of '+spec.name+' on this collection'});
+      else
+        specs[spec.name] = spec;
+    });
+  });
+
+  return {specs:_.values(specs), problems:problems};
+};
+
+/**
+ * Compare declared and existing indexes
+ * @return {create:[spec], drop:[name], unchanged:[name]} (a changed index is in both create and drop)
+ **/
+var diffIndexes =
+exports.diffIndexes = function(specs, actualList) {
+  var actualByName = _.indexBy(actualList, 'name');
+  var declaredNames = {};
+  var result = {create:[], drop:[], unchanged:[]};
+
+  _.forEach(specs, function(spec) {
+    declaredNames[spec.name] = true;
+    var actual = actualByName[spec.name];
+    if(!actual) {
+      result.create.push(spec);
+    }
+    else if(matches(spec, actual)) {
+      result.unchanged.push(spec.name);
+    }
+    else {
+      result.drop.push(spec.name);
+      result.create.push(spec);
+    }
+  });
+
+  _.forEach(actualList, function(actual) {
+    if(actual.name.indexOf(PREFIX) === 0 && !declaredNames[actual.name])
+      result.drop.push(actual.name);
+  });
+
+  return result;
+};
+
+var getActualIndexes = function(collection) {
+  return Q(collection.indexes()).then(null, function(err) {
+    //(collection doesn't exist yet)
+    if(err && (err.code === 26 || /ns does not exist/.test(err.message)))
+      return [];
+    throw err;
+  });
+};
+
+/**
+ * Recompute __match_text (from _fulltext_matches templates) on every object in a class's collection
+ * @return promise resolving to the number of objects updated
+ **/
+var rebuildMatchText =
+exports.rebuildMatchText = function(className) {
+  var Model = db[className];
+  if(!Model || !Model.collection)
+    return Q.reject(new Error('invalid class '+className));
+
+  //Leaf classes only: querying a superclass's model would also hydrate its subclasses' objects
+  var leafModels = _.filter(modelsForCollection(Model.collection.name), function(M) {
+    return _.isEmpty(M.discriminators) && M._bo_meta_data.type_desc_map._fulltext_matches;
+  });
+
+  var count = 0;
+  return _.reduce(leafModels, function(promise, LeafModel) {
+    return promise.then(function() {
+      var deferred = Q.defer();
+      var pending = [];
+      var stream = LeafModel.find(db.includeDeleted({})).cursor();
+
+      stream.on('data', function(modelObj) {
+        //direct update: no triggers, no new version
+        pending.push(Q(LeafModel.collection.update({_id:modelObj._id}, {$set:{__match_text:modelObj._match_text}})));
+        count++;
+      });
+      stream.on('error', deferred.reject);
+      stream.on('end', function() {
+        deferred.resolve(Q.all(pending));
+      });
+      return deferred.promise;
+    });
+  }, Q(true))
+  .then(function() {
+    console.log('Rebuilt __match_text on %d objects in %s', count, Model.collection.name);
+    return count;
+  });
+};
+
+/**
+ * Bring a class's collection's "noonian_" indexes in line w/ the declarations
+ * @param options {rebuildMatchText} - recompute __match_text even if the fulltext index is unchanged (templates changed)
+ * @return promise resolving to {collection, created, dropped, unchanged, problems}
+ **/
+exports.syncIndexes = function(className, options) {
+  options = options || {};
+  var Model = db[className];
+  if(!Model || !Model.collection)
+    return Q.reject(new Error('invalid class '+className));
+
+  var collection = Model.collection;
+  var declared = getDeclaredIndexes(collection.name);
+  var report = {collection:collection.name, created:[], dropped:[], unchanged:[], problems:declared.problems};
+
+  return getActualIndexes(collection).then(function(actualList) {
+    var diff = diffIndexes(declared.specs, actualList);
+    report.unchanged = diff.unchanged;
+
+    var dropAll = _.reduce(diff.drop, function(promise, name) {
+      return promise.then(function() {
+        return Q(collection.dropIndex(name)).then(
+          function() { report.dropped.push(name); },
+          function(err) {
+            if(err.code !== INDEX_NOT_FOUND) //(another instance got there first)
+              report.problems.push({index:name, message:'drop failed: '+err.message});
+          }
+        );
+      });
+    }, Q(true));
+
+    return _.reduce(diff.create, function(promise, spec) {
+      return promise.then(function() {
+        return Q(collection.createIndex(spec.key, spec.options)).then(
+          function() { report.created.push(spec.name); },
+          function(err) { report.problems.push({index:spec.name, message:'create failed: '+err.message}); }
+        );
+      });
+    }, dropAll);
+  })
+  .then(function() {
+    if(report.created.length || report.dropped.length || report.problems.length)
+      console.log('Synced indexes on %s: %j', collection.name, report);
+
+    if(_.contains(report.created, FULLTEXT_INDEX) || (options.rebuildMatchText && _.contains(report.unchanged, FULLTEXT_INDEX))) {
+      rebuildMatchText(className).then(null, function(err) {
+        console.error('Unable to rebuild __match_text on %s: %s', collection.name, err);
+      });
+    }
+    return report;
+  });
+};
+
+/**
+ * Declared vs. actual indexes for each collection (or just the one for className)
+ * @return promise resolving to [{collection, classes, declared, actual, diff:{create, drop, unchanged}, problems}]
+ **/
+exports.getIndexStatus = function(className) {
+  var classNames = className ? [className] : db.getClassNames();
+  var collections = _.uniq(_.compact(_.map(classNames, function(cn) {
+    return db[cn] && db[cn].collection && db[cn].collection.name;
+  })));
+
+  return Q.all(_.map(collections, function(collectionName) {
+    var collection = modelsForCollection(collectionName)[0].collection;
+    var declared = getDeclaredIndexes(collectionName);
+
+    return getActualIndexes(collection).then(function(actualList) {
+      var diff = diffIndexes(declared.specs, actualList);
+      return {
+        collection:collectionName,
+        classes:_.map(modelsForCollection(collectionName), function(Model) { return Model._bo_meta_data.class_name; }),
+        declared:declared.specs,
+        actual:actualList,
+        diff:{create:_.pluck(diff.create, 'name'), drop:diff.drop, unchanged:diff.unchanged},
+        problems:declared.problems
+      };
+    });
+  }));
+};
+
+
+/**
+ * Convert a duplicate key error from saving modelObj into a readable 400 error w/ problems:[{path, message}]
+ *  and fieldErrors:{path:[message]} (as for failed validation)
+ * @return the converted error, or err itself if it isn't a duplicate key error
+ **/
+exports.translateDuplicateKeyError = function(err, modelObj) {
+  if(!err || err.code !== DUPLICATE_KEY)
+    return err;
+
+  var metaData = modelObj._bo_meta_data;
+  var match = /index: (\S+) dup key/.exec(err.message || '');
+  var idxName = match && match[1];
+
+  var fields;
+  if(idxName === '_id_' || idxName === '_id_1') {
+    fields = ['_id'];
+  }
+  else if(idxName) {
+    var spec = _.find(getDeclaredIndexes(modelObj.collection.name).specs, 'name', idxName);
+    fields = spec ? _.keys(spec.options.weights ? _.omit(spec.key, function(dir) { return dir === 'text'; }) : spec.key) : null;
+  }
+
+  var className = metaData.class_name;
+  var describeValue = function(f) {
+    var v = _.get(modelObj, f);
+    return v && v._disp ? v._disp : JSON.stringify(v);
+  };
+
+  var message;
+  var problems;
+  if(fields && fields.length) {
+    message = fields.length === 1 ?
+      'another '+className+' already has '+fields[0]+' '+describeValue(fields[0]) :
+      'another '+className+' already has this combination of '+fields.join(', ')+' ('+_.map(fields, describeValue).join(', ')+')';
+    problems = _.map(fields, function(f) {
+      return {path:f, message:'must be unique'+(fields.length > 1 ? ' in combination with '+_.without(fields, f).join(', ') : '')};
+    });
+  }
+  else {
+    message = 'duplicate value for unique index '+(idxName || '')+' on '+className;
+  }
+
+  var result = new Error(message);
+  result.status = 400;
+  if(problems) {
+    result.problems = problems;
+    result.fieldErrors = _.mapValues(_.indexBy(problems, 'path'), function(p) { return [p.message]; });
+  }
+  return result;
+};
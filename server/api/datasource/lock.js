@@ -0,0 +1,92 @@
+/*
+Copyright (C) 2019  Eugene Lockett  gene@noonian.org
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+/**
+ * lock.js
+ *  Leases shared by all instances running against the database, kept in noonian.locks.
+ *  A lease is held by one instance until released or until it expires (so a crashed holder doesn't block others);
+ *  long-running holders should renew() before expiry.  Expired lock documents are removed by a TTL index.
+ **/
+const os = require('os');
+
+const mongoose = require('mongoose');
+
+const LockSchema = new mongoose.Schema({
+    _id: String,       //lock name
+    owner: String,     //instanceId of holder
+    acquired: Date,
+    expires: Date
+  },
+  {collection:'noonian.locks'}
+);
+LockSchema.index({expires:1}, {expireAfterSeconds:0});
+
+const LockModel = mongoose.model('Lock', LockSchema);
+
+/**
+ * Identifies this process to the other instances
+ */
+const instanceId =
+exports.instanceId = os.hostname()+':'+process.pid;
+
+
+/**
+ * Acquire a lease (or extend it, if this instance already holds it)
+ * @param name lock name
+ * @param ttl lease duration in ms
+ * @return promise resolving to true if acquired, false if held by another instance
+ */
+exports.acquire = function(name, ttl) {
+  var now = new Date();
+
+  return LockModel.findOneAndUpdate(
+    {_id:name, $or:[{owner:instanceId}, {expires:{$lt:now}}]},
+    {$set:{owner:instanceId, acquired:now, expires:new Date(now.getTime()+ttl)}},
+    {upsert:true, new:true}
+  ).exec().then(
+    function() {
+      return true;
+    },
+    function(err) {
+      //Upsert collides w/ the existing, unexpired lock held by someone else
+      if(err && err.code === 11000) {
+        return false;
+      }
+      throw err;
+    }
+  );
+};
+
+/**
+ * Extend a lease held by this instance
+ * @return promise resolving to false if the lease was lost in the meantime
+ */
+exports.renew = function(name, ttl) {
+  return LockModel.update(
+    {_id:name, owner:instanceId},
+    {$set:{expires:new Date(Date.now()+ttl)}}
+  ).exec().then(function(result) {
+    return !!(result && result.n);
+  });
+};
+
+/**
+ * Release a lease held by this instance
+ */
+exports.release = function(name) {
+  return LockModel.remove({_id:name, owner:instanceId}).exec();
+};
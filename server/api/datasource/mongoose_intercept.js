@@ -77,7 +77,7 @@ const hook_preSave = function(next, options) {
   var firstPromise;
   if(isUpdate) {
     //Grab prev version
-    firstPromise = db[THIS._bo_meta_data.class_name].findOne({_id:THIS._id}).exec().then(function(result) {
+    firstPromise = db[THIS._bo_meta_data.class_name].findOne(db.includeDeleted({_id:THIS._id})).exec().then(function(result) {
       if(!result) {
         console.log('Save called on deleted object: %s.%s', THIS._bo_meta_data.class_name, THIS._id);
         return next(new Error("$update-on-deleted"));
@@ -104,6 +104,13 @@ const hook_preSave = function(next, options) {
   
   firstPromise
     .then(beforeDataTrigger.bind(null, THIS, keyFilter, options)) //invoke "before" data triggers
+    .then(function() {
+      //persisted computed fields (see computed.js), then validation rules (see validation.js)
+      db._svc.ComputedFieldService.applyPersisted(THIS);
+      if(!options.skipValidation) {
+        return db._svc.ValidationService.validate(THIS, options.currentUser);
+      }
+    })
     .then(
       function() {
         //console.log("SAVE after 'before' triggers: %j", THIS);
@@ -179,6 +186,14 @@ const hook_postSave = function(modelObj, next) {
   
 };
 
+/**
+ * Error-handling post-save: a unique index violation becomes a readable 400 error naming the field(s)
+ **/
+const hook_saveError = function(err, modelObj, next) {
+  delete this.__noon_status;
+  next(db._svc.IndexService.translateDuplicateKeyError(err, this));
+};
+
 const hook_preRemove = function(next) {
   var THIS = this;
   var options = {};
@@ -196,8 +211,14 @@ const hook_preRemove = function(next) {
   
   //Do we need to ensure the object passed to DataTriggers has all its fields?
   // (could have been removed using a model object that was the result of a query w/ limited projection)
-  db[THIS._bo_meta_data.class_name].findOne({_id:THIS._id}).exec().then(function(result) {
+  db[THIS._bo_meta_data.class_name].findOne(db.includeDeleted({_id:THIS._id})).exec().then(function(result) {
     THIS.__noon_status._previous = result;
+    
+    if(result && result.__deleted) {
+      //Purging a soft-deleted object: its delete triggers ran when it went into the trash
+      THIS.__noon_status.alreadyDeleted = true;
+      return next();
+    }
     datatrigger.processBeforeDelete(result, keyFilter, options).then(
       function() {
           next();
@@ -221,11 +242,17 @@ const hook_postRemove = function(modelObj, next) {
   const options = this.__noon_status.options;
   const keyFilter = options.filterTriggers || null;
   const previous = this.__noon_status._previous
+  const alreadyDeleted = this.__noon_status.alreadyDeleted;
   delete this.__noon_status;
   
   const deferred = Q.defer();
   this._post_triggers_promise = deferred.promise;
   
+  if(alreadyDeleted) {
+    deferred.resolve(THIS);
+    return next();
+  }
+  
   var modelObjStub = { //pass a "post-delete stub" to the after DataTriggers
     _id:THIS._id, 
     _previous:previous, 
@@ -253,6 +280,8 @@ const hook_postRemove = function(modelObj, next) {
  */
 const getQueryPreprocessorWrapper = function(wrappedFn, boMetaData) {
   return function(criteria) {
+    var args = arguments;
+    
     if(criteria && criteria.$useContext) {
       let context = criteria.$useContext;
       //console.log('Applying context %j %j', boMetaData.class_name, context);
@@ -261,11 +290,41 @@ const getQueryPreprocessorWrapper = function(wrappedFn, boMetaData) {
       QueryOpService.applyNoonianContext(criteria, context);
     }
     
+    //Only honor $includeDeleted set internally via db.includeDeleted(); strip it from anything else
+    var includeDeleted = false;
+    if(criteria && typeof criteria === 'object' && criteria.hasOwnProperty('$includeDeleted')) {
+      includeDeleted = !Object.getOwnPropertyDescriptor(criteria, '$includeDeleted').enumerable;
+      delete criteria.$includeDeleted;
+    }
+
+    if(!includeDeleted && boMetaData.type_desc_map._soft_delete) {
+      args = excludeDeleted(args);
+      criteria = args[0];
+    }
+    
     QueryOpService.queryToMongo(criteria, boMetaData);
-    return wrappedFn.apply(this, arguments);
+    return wrappedFn.apply(this, args);
   };
 };
 
+/**
+ * For soft-delete classes: add {__deleted:null} to query criteria 
+ *  (unless the query explicitly addresses __deleted, e.g. for listing the trash)
+ */
+const excludeDeleted = function(args) {
+  var criteria = args[0];
+  if(criteria && typeof criteria === 'object') {
+    if(!criteria.hasOwnProperty('__deleted')) {
+      criteria.__deleted = null;
+    }
+    return args;
+  }
+  
+  //find(), find(callback), find(null, projection)...
+  var rest = Array.prototype.slice.call(args, typeof criteria === 'function' ? 0 : 1);
+  return [{__deleted:null}].concat(rest);
+};
+
 
 
 const hook_postFind = function(result, next) {
@@ -334,6 +393,84 @@ const remove = function(conditions, callback) {
 }
 
 
+/////////////////////////////////////////////
+//  soft delete (BOD definition has _soft_delete:true)
+/////////////////////////////////////////////
+/**
+ * modelObj.remove() for soft-delete classes:
+ *  runs the delete DataTriggers, but rather than dropping the object, marks it w/ 
+ *  __deleted:{date, by, incoming_refs} so it is hidden from queries until restored or purged.
+ *  incoming_refs is the content of noonian.references pointing to the object, so restore() can re-link them.
+ */
+const softRemove = function(callback) {
+  var THIS = this;
+  var className = THIS._bo_meta_data.class_name;
+  var context = THIS[Symbol.for('context')];
+  var options = context ? {context} : {};
+  var currentUser = context && context.currentUser;
+  
+  var promise = db[className].findOne(db.includeDeleted({_id:THIS._id})).exec().then(function(current) {
+    if(!current || current.__deleted) {
+      return; //(already gone or in the trash)
+    }
+    
+    return db._svc.RefService.getIncomingRefs(className, THIS._id).then(function(incomingRefs) {
+      return datatrigger.processBeforeDelete(current, null, options)
+        .then(function() {
+          current.__deleted = {
+            date:new Date(),
+            by:currentUser ? {_id:currentUser._id, _disp:currentUser._disp} : null,
+            incoming_refs:incomingRefs
+          };
+          current.markModified('__deleted');
+          return current.save({skipTriggers:true, skipValidation:true}, null);
+        })
+        .then(function() {
+          var modelObjStub = {
+            _id:THIS._id, 
+            _previous:current, 
+            _bo_meta_data:THIS._bo_meta_data
+          };
+          return datatrigger.processAfterDelete(modelObjStub, null, options);
+        });
+    });
+  })
+  .then(function() {
+    return THIS;
+  });
+  
+  THIS._post_triggers_promise = promise;
+  
+  if('function' == typeof callback) {
+    promise.then(
+      function(result) { callback(null, result) },
+      function(err) { callback(err) }
+    );
+  }
+  
+  return promise;
+};
+
+/**
+ * Bring a soft-deleted object back out of the trash: 
+ *  saved as an update (running update DataTriggers), then incoming references are re-linked
+ * @param options save options, e.g. {currentUser}
+ */
+const restore = function(options) {
+  var THIS = this;
+  var incomingRefs = (THIS.__deleted && THIS.__deleted.incoming_refs) || [];
+  
+  THIS.__deleted = null;
+  THIS.markModified('__deleted');
+  
+  return THIS.save(_.assign({restoreFromTrash:true}, options), null).then(function(saveResult) {
+    return db._svc.RefService.restoreIncomingRefs(saveResult, incomingRefs).then(function() {
+      return saveResult;
+    });
+  });
+};
+
+
 /////////////////////////////////////////////
 //  additions to the base mongoose model:
 /////////////////////////////////////////////
@@ -370,6 +507,12 @@ exports.decorateModel = function(MongooseModel) {
   
   //Override the built-in Model.remove() to do it our way (which triggers DataTriggers)
   MongooseModel.remove = remove;
+  
+  if(metaObj.type_desc_map._soft_delete) {
+    MongooseModel.prototype.purge = MongooseModel.prototype.remove; //the "real" remove
+    MongooseModel.prototype.remove = softRemove;
+    MongooseModel.prototype.restore = restore;
+  }
   //MongooseModel.update = update; //TODO intercept update() to run data triggers
   
   
@@ -385,6 +528,7 @@ exports.decorateModel = function(MongooseModel) {
 exports.registerHooks = function(schema) {
   schema.pre('save', hook_preSave);
   schema.post('save', hook_postSave);
+  schema.post('save', hook_saveError);
   
   schema.pre('remove', hook_preRemove);
   schema.post('remove', hook_postRemove);
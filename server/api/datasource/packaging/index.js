@@ -328,7 +328,7 @@ exports.updateLogger = function(isCreate, isUpdate, isDelete) {
         }
     }
     
-    var retPromise = updateLogObj.save({skipTriggers:true});
+    var retPromise = updateLogObj.save({skipTriggers:true, skipValidation:true});
     
     /*
      * We want to persist the UpdateLog object so that the package can be built
@@ -352,6 +352,64 @@ exports.updateLogger = function(isCreate, isUpdate, isDelete) {
 
 
 
+const revertError = function(message, status) {
+    var err = new Error(message);
+    err.status = status;
+    return err;
+};
+
+/**
+ * Rebuild a prior state of modelObj by reverse-applying the revert_patch of each UpdateLog after the target.
+ *  (UpdateLogs only carry revert_patch when enableHistory is configured)
+ * @param target {version:'<__ver>'} or {timestamp:Date}
+ * @return promise resolving to a plain object holding the prior state
+ */
+exports.buildRevertedState = function(modelObj, target) {
+    var className = modelObj._bo_meta_data.class_name;
+    var queryObj = {object_class:className, object_id:modelObj._id};
+    if(target.timestamp) {
+        queryObj.timestamp = {$gt:target.timestamp};
+    }
+    
+    return db.UpdateLog.find(queryObj).sort({timestamp:-1}).lean().exec().then(function(logs) {
+        var state = functionsToStrings(modelObj.toPlainObject());
+        var reached = !target.version || state.__ver === target.version;
+        
+        if((target.version && reached) || !logs.length) {
+            throw revertError(className+' '+modelObj._id+' has no changes since the requested point', 400);
+        }
+        
+        _.forEach(logs, function(log) {
+            if(log.update_type === 'create') {
+                throw revertError(className+' '+modelObj._id+' did not exist at the requested point', 400);
+            }
+            if(!log.revert_patch) {
+                throw revertError('UpdateLog '+log._id+' has no revert_patch; history is incomplete (is enableHistory on?)', 409);
+            }
+            
+            if(log.update_type === 'delete') {
+                //(recreated w/ the same id)
+                state = _.cloneDeep(log.revert_patch);
+            }
+            else {
+                state = diffTool.patch(state, _.cloneDeep(log.revert_patch));
+            }
+            state.__ver = log.updated_version;
+            
+            if(target.version && state.__ver === target.version) {
+                reached = true;
+                return false;
+            }
+        });
+        
+        if(!reached) {
+            throw revertError('version '+target.version+' not found in history of '+className+' '+modelObj._id, 404);
+        }
+        return state;
+    });
+};
+
+
 /**
  * Apply package attached to a BusinessObjectPackage
  */
@@ -509,6 +567,8 @@ exports.importObject = function(className, obj, packageRef) {
         var updateVer = obj.__ver;
         delete obj.__ver;
         
+        var isCreate = !modelObj;
+        var previous = modelObj ? modelObj.toPlainObject() : null;
         if(!modelObj) {
             modelObj = new db[className](obj);
         }
@@ -516,7 +576,11 @@ exports.importObject = function(className, obj, packageRef) {
             _.assign(modelObj, obj);
         }			
         
-        return modelObj.save({useVersionId:updateVer, skipTriggers:true}, null);
+        return modelObj.save({useVersionId:updateVer, skipTriggers:true}, null).then(function(saveResult) {
+            //(w/out triggers, other instances aren't otherwise told to refresh their caches)
+            db._svc.ClusterBusService.publish(className, modelObj._id, isCreate ? 'create' : 'update', previous);
+            return saveResult;
+        });
         
     });
 	
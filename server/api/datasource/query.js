@@ -36,46 +36,78 @@ var queryOpByTypeName;
 var queryOpByOpName;
 
 
+//QueryOp objects from the DB, and those registered by server code (registerQueryOp)
+var dbQueryOps = [];
+var registeredQueryOps = [];
+
 var initialized = false;
 
-var cacheAndIndex = function() {
+var buildIndex = function() {
   var byTypeName = {};
   var byName = {};
 
-  //Cache and index FieldTypes and QueryOps
-  return db.QueryOp.find({}).then(function(queryOpList) {
-    console.log("Caching QueryOp's");
-    _.forEach(queryOpList, function(qo) {
+  var indexQueryOp = function(qo, typeNames) {
+    if(!byName[qo.name]) {
+      byName[qo.name] = {};
+    }
 
-      if(!byName[qo.name]) {
-        byName[qo.name] = {};
-      }
+    if(!typeNames.length) {
+      var wildcardKey = qo.for_array ? 'array:*' : '*';
+      byName[qo.name][wildcardKey] = qo;
+    }
+
+    _.forEach(typeNames, function(ftName) {
+      var typeName = qo.for_array ? 'array:'+ftName : ftName;
 
-      if(!qo.types || qo.types.length === 0) {
-        var wildcardKey = qo.for_array ? 'array:*' : '*';
-        byName[qo.name][wildcardKey] = qo;
+      if(!byTypeName[typeName]) {
+        byTypeName[typeName] = [];
       }
+      byTypeName[typeName].push(qo);
 
-      _.forEach(qo.types, function(typeRef) {
-        var ft = FieldTypeService.getFieldTypeHandler(typeRef._id);
-        var typeName = qo.for_array ? 'array:'+ft.name : ft.name;
+      byName[qo.name][typeName] = qo;
+    });
+  };
 
-        if(!byTypeName[typeName]) {
-          byTypeName[typeName] = [];
-        }
-        byTypeName[typeName].push(qo);
+  _.forEach(dbQueryOps, function(qo) {
+    indexQueryOp(qo, _.map(qo.types, function(typeRef) {
+      return FieldTypeService.getFieldTypeHandler(typeRef._id).name;
+    }));
+  });
 
-        byName[qo.name][typeName] = qo;
-      });
-    })
+  //(registered ones take precedence over DB ones w/ the same name and type)
+  _.forEach(registeredQueryOps, function(qo) {
+    indexQueryOp(qo, qo.types || []);
+  });
 
-    queryOpByTypeName = byTypeName;
-    queryOpByOpName = byName;
-    initialized = true;
+  queryOpByTypeName = byTypeName;
+  queryOpByOpName = byName;
+};
 
+var cacheAndIndex = function() {
+  //Cache and index FieldTypes and QueryOps
+  return db.QueryOp.find({}).then(function(queryOpList) {
+    console.log("Caching QueryOp's");
+    dbQueryOps = queryOpList;
+    buildIndex();
+    initialized = true;
   });
 }
 
+/**
+ * Register a QueryOp implemented in server code (e.g. from a CodeModule), alongside those defined as QueryOp objects:
+ *  {name:'$op', types:['string', ...], for_array, toMongo, evaluate, stringify}
+ *  types are FieldType names; none means applicable to any type (or, w/ no field, a field-less op like $fulltextsearch)
+ **/
+exports.registerQueryOp = function(qo) {
+  _.remove(registeredQueryOps, function(existing) {
+    return existing.name === qo.name && !!existing.for_array === !!qo.for_array && _.isEqual(existing.types || [], qo.types || []);
+  });
+  registeredQueryOps.push(qo);
+  if(initialized) {
+    buildIndex();
+  }
+};
+
 var init =
 exports.init = function() {
   console.log("Initializing QueryOp service");
@@ -248,110 +280,228 @@ exports.applyNoonianContext = function(queryObj, context) {
     }
 };
 
+var GROUPING_KIND = {$and:'and', $or:'or', $nor:'nor'};
+
+var isOpObject = function(clause) {
+  return clause && typeof clause === 'object' && !Array.isArray(clause) && !(clause instanceof Date) && !(clause instanceof RegExp) &&
+    _.some(Object.keys(clause), function(k) { return k.indexOf('$') === 0; });
+};
+
+var typeNameFor = function(td) {
+  if(!td)
+    return null;
+  return td instanceof Array ? 'array:'+(td[0] && td[0].type) : td.type;
+};
+
+var compileCondition;
+
 /**
- * Process any custom query operators to create a query for mongodb
- *  no return value; applies changes directly to queryObj
+ * Compile the clause for one field into one node per operator
  **/
-var queryToMongo =
-exports.queryToMongo = function(queryObj, boMetaData) {
-  //console.log("CONVERTING TO MONGO: %j", queryObj);
+var compileFieldClause = function(path, typeName, clause) {
+  if(!isOpObject(clause)) {
+    return {kind:'field', path:path, typeName:typeName, op:'$eq', operand:clause, literal:true};
+  }
 
-  if(!initialized) return; //If we're bootstrapping, QueryOp's haven't yet been loaded, but system can still do basic queries
+  var terms = [];
+  _.forEach(clause, function(operand, op) {
+    if(op === '$options') {
+      return; //(goes w/ $regex)
+    }
+    if(op === '$regex') {
+      terms.push({kind:'field', path:path, typeName:typeName, op:'$regex', operand:operand, options:clause.$options});
+    }
+    else if(op === '$not') {
+      terms.push({kind:'not', term:isOpObject(operand) ?
+        compileFieldClause(path, typeName, operand) :
+        {kind:'field', path:path, typeName:typeName, op:'$regex', operand:operand}
+      });
+    }
+    else {
+      terms.push({kind:'field', path:path, typeName:typeName, op:op, operand:operand});
+    }
+  });
 
-  if(!queryObj || typeof queryObj !== 'object')
-    return;
+  return terms.length === 1 ? terms[0] : {kind:'and', terms:terms};
+};
 
-  var keys = Object.keys(queryObj);
-  
-  for(var keyIndex = 0; keyIndex < keys.length; keyIndex++) {
-    var k = keys[keyIndex];
-    var v = queryObj[k];
-    
-    //First, check if it's a grouping clause:
-    if(k === "$or" || k === "$and" || k === "$nor") {
-      //v is an array of terms... handle each one recursively
-      for(var i=0; i < v.length; i++)
-        queryToMongo(v[i], boMetaData);
-    }
-    else if(queryOpByOpName[k]) {
-      //k is an operator that doesn't require a field (e.g. $fulltextsearch)
-      var queryOpObj = queryOpByOpName[k]['*'];
-
-      if(queryOpObj && queryOpObj.toMongo) {
-        //toMongo() should replace the custom clause w/ a standard mongo one
-        var convertedClause = queryOpObj.toMongo(v, boMetaData.type_descriptor, FieldTypeService);
-        delete queryObj[k];
-        _.assign(queryObj, convertedClause);
+var compileKey = function(k, v, boMetaData) {
+  if(GROUPING_KIND[k]) {
+    return {kind:GROUPING_KIND[k], terms:_.map(v, function(term) {
+      return compileCondition(term, boMetaData);
+    })};
+  }
+  if(k.indexOf('$') === 0) {
+    if(queryOpByOpName[k] && queryOpByOpName[k]['*'])
+      return {kind:'op', op:k, operand:v};
+    return {kind:'raw', key:k, value:v};  //e.g. $text, $comment
+  }
+
+  var td = boMetaData.getTypeDescriptor(k);
+  return compileFieldClause(k, typeNameFor(td instanceof Object ? td : null), v);
+};
+
+compileCondition = function(queryObj, boMetaData) {
+  var terms = _.map(Object.keys(queryObj || {}), function(k) {
+    return compileKey(k, queryObj[k], boMetaData);
+  });
+  return terms.length === 1 ? terms[0] : {kind:'and', terms:terms};
+};
+
+/**
+ * Normalize a Noonian query (w/ noonian context already applied) into a canonical AST:
+ *  {kind:'and'|'or'|'nor', terms:[...]}
+ *  {kind:'not', term}
+ *  {kind:'field', path, typeName, op, operand, [options], [literal]}   one operator on one field
+ *  {kind:'op', op, operand}      field-less QueryOp, e.g. $fulltextsearch
+ *  {kind:'raw', key, value}      anything else, passed through as-is
+ *  Abbreviated AND (multiple keys, or multiple operators on a field) becomes an explicit 'and'.
+ **/
+var compileQuery =
+exports.compileQuery = compileCondition;
+
+
+/**
+ * Merge mongo clauses into one object where keys don't collide (including multiple operators on a field)
+ * @return merged object, or null if they can't be
+ **/
+var mergeClauses = function(parts) {
+  var result = {};
+  for(var i=0; i < parts.length; i++) {
+    var part = parts[i];
+    for(var k in part) {
+      if(!result.hasOwnProperty(k)) {
+        result[k] = isOpObject(part[k]) ? _.clone(part[k]) : part[k];
       }
-      else if(queryOpObj) {
-        console.log('WARNING naked QueryOp doesnt have * key! %s %j', k, queryOpByOpName[k]);
+      else if(isOpObject(result[k]) && isOpObject(part[k]) && !_.intersection(Object.keys(result[k]), Object.keys(part[k])).length) {
+        _.assign(result[k], part[k]);
       }
-    }
-    else if(boMetaData.getTypeDescriptor(k) instanceof Object) {
-      //k should be a valid field
-      var fieldName = k;
-      var clause = queryObj[fieldName];
-      var td = boMetaData.getTypeDescriptor(k);
-      var typeName = td instanceof Array ? 'array:'+td[0].type : td.type;
-      
-      if(typeof clause === 'string' && queryOpByOpName.$eq[typeName]) {
-        var queryOpObj = queryOpByOpName.$eq[typeName];
-        if(queryOpObj.toMongo) {
-          var convertedClause = queryOpObj.toMongo(fieldName, clause, boMetaData.type_descriptor);
-          if(convertedClause[fieldName]) {
-            queryObj[fieldName] = convertedClause[fieldName];
-          } else {
-            //Swap out full-on
-            // *NOTE could cause problems if using a custom query w/in abbreviated AND notation, e.g. "field":{$customOp:{..}, $plainOp:{..} }
-            //  should re-factor to cannonicalize multi-key clauses into explicit $and:[...]
-            delete queryObj[fieldName];
-            _.assign(queryObj, convertedClause);
-          }
-        }
+      else {
+        return null;
       }
+    }
+  }
+  return result;
+};
 
-      if(typeof clause === 'object' && clause != null) {  
-        var ops = Object.keys(clause);
-        for(var opIndex=0; opIndex < ops.length; opIndex++) {
-          var op = ops[opIndex];
-          if(op === '$not') {
-            var negatedKeys = Object.keys(clause.$not);
-            if(negatedKeys.length === 1) {
-              op = negatedKeys[0];
-              clause = clause.$not;
-            }
-            // else {
-            //   //TODO Convert to $nor, handle recursively
-            // }
-          }
-
-          var queryOpObj = getQueryOpObject(op, typeName);
-
-          if(queryOpObj && queryOpObj.toMongo) {
-            var convertedClause = queryOpObj.toMongo(fieldName, clause[op], boMetaData.type_descriptor);
-
-            if(convertedClause[fieldName]) {
-              delete clause[op];
-              _.assign(clause, convertedClause[fieldName]);
-            } else {
-              //Swap out full-on
-              // *NOTE could cause problems if using a custom query w/in abbreviated AND notation, e.g. "field":{$customOp:{..}, $plainOp:{..} }
-              //  should re-factor to cannonicalize multi-key clauses into explicit $and:[...]
-              delete queryObj[fieldName];
-              _.assign(queryObj, convertedClause);
-            }
+var lowerNode;
 
+var lowerField = function(node, boMetaData) {
+  var result = {};
+  var queryOpObj;
 
-          }
-          
-        }
-      }
+  if(node.literal) {
+    queryOpObj = typeof node.operand === 'string' && node.typeName && queryOpByOpName.$eq && queryOpByOpName.$eq[node.typeName];
+    if(queryOpObj && queryOpObj.toMongo)
+      return queryOpObj.toMongo(node.path, node.operand, boMetaData.type_descriptor);
+    result[node.path] = node.operand;
+    return result;
+  }
+
+  queryOpObj = node.typeName && getQueryOpObject(node.op, node.typeName);
+  if(queryOpObj && queryOpObj.toMongo)
+    return queryOpObj.toMongo(node.path, node.operand, boMetaData.type_descriptor);
 
+  var clause = {};
+  clause[node.op] = node.operand;
+  if(node.op === '$regex' && node.options !== undefined)
+    clause.$options = node.options;
+  result[node.path] = clause;
+  return result;
+};
+
+/**
+ * Negate a lowered clause: a single field's operators go under that field's $not, anything else under $nor
+ **/
+var negate = function(lowered) {
+  var keys = Object.keys(lowered);
+  var fieldClause = keys.length === 1 && keys[0].indexOf('$') !== 0 && lowered[keys[0]];
+  var result = {};
+
+  if(isOpObject(fieldClause)) {
+    var ops = Object.keys(fieldClause);
+    if(fieldClause.$regex !== undefined) {
+      //$not takes a RegExp rather than $regex
+      if(_.difference(ops, ['$regex', '$options']).length === 0) {
+        var re = fieldClause.$regex;
+        result[keys[0]] = {$not:(re instanceof RegExp ? re : new RegExp(re, fieldClause.$options || ''))};
+        return result;
+      }
+    }
+    else if(!_.contains(ops, '$not')) {
+      result[keys[0]] = {$not:fieldClause};
+      return result;
     }
+  }
+  else if(fieldClause instanceof RegExp) {
+    result[keys[0]] = {$not:fieldClause};
+    return result;
+  }
+
+  return {$nor:[lowered]};
+};
 
+lowerNode = function(node, boMetaData) {
+  var result;
+  switch(node.kind) {
+    case 'and':
+      var parts = _.filter(_.map(node.terms, function(t) { return lowerNode(t, boMetaData); }), function(p) { return !_.isEmpty(p); });
+      if(parts.length <= 1)
+        return parts[0] || {};
+      return mergeClauses(parts) || {$and:parts};
+
+    case 'or':
+    case 'nor':
+      result = {};
+      result['$'+node.kind] = _.map(node.terms, function(t) { return lowerNode(t, boMetaData); });
+      return result;
+
+    case 'not':
+      return negate(lowerNode(node.term, boMetaData));
+
+    case 'field':
+      return lowerField(node, boMetaData);
 
+    case 'op':
+      var queryOpObj = queryOpByOpName[node.op]['*'];
+      if(queryOpObj.toMongo)
+        return queryOpObj.toMongo(node.operand, boMetaData.type_descriptor, FieldTypeService);
+      result = {};
+      result[node.op] = node.operand;
+      return result;
+
+    default: //raw
+      result = {};
+      result[node.key] = node.value;
+      return result;
   }
+};
+
+/**
+ * Lower a query AST (compileQuery) to a mongo query, QueryOps replaced by the standard clauses from their toMongo()
+ **/
+var lowerQuery =
+exports.lowerQuery = lowerNode;
 
+/**
+ * Process any custom query operators to create a query for mongodb
+ *  no return value; applies changes directly to queryObj
+ **/
+var queryToMongo =
+exports.queryToMongo = function(queryObj, boMetaData) {
+  //console.log("CONVERTING TO MONGO: %j", queryObj);
+
+  if(!initialized) return; //If we're bootstrapping, QueryOp's haven't yet been loaded, but system can still do basic queries
+
+  if(!queryObj || typeof queryObj !== 'object')
+    return;
+
+  var lowered = lowerQuery(compileQuery(queryObj, boMetaData), boMetaData);
+
+  _.forEach(Object.keys(queryObj), function(k) {
+    delete queryObj[k];
+  });
+  _.assign(queryObj, lowered);
 };
 
 
@@ -467,3 +617,289 @@ exports.stringifyQuery = function(queryObj, boMetaData, fieldLabels, noonianCont
 
 }
 
+
+
+//Standard mongo field operators accepted in queries alongside the QueryOps, w/ the operand check for each
+var STANDARD_FIELD_OPS = {
+  $eq:'value', $ne:'value', $gt:'value', $gte:'value', $lt:'value', $lte:'value',
+  $in:'valueArray', $nin:'valueArray', $all:'valueArray',
+  $exists:'boolean', $regex:'string', $options:'string', $size:'count', $type:'any',
+  $not:'not', $elemMatch:'object'
+};
+
+//Fields present on every object that aren't in the type descriptor
+var SYSTEM_FIELD_TD = {type:'_system'};
+var SYSTEM_FIELDS = ['_id', '__ver', '__disp', '__match_text'];
+
+//Marks a path into a Mixed value: anything goes below it
+var ANY_TD = {type:'_any'};
+
+var isContextRef = function(v) {
+  return v && typeof v === 'object' && v.$noonian_context;
+};
+
+/**
+ * Resolve a (possibly dotted) field path to its type descriptor
+ * @return type descriptor, SYSTEM_FIELD_TD, ANY_TD, or a string describing why it's invalid
+ **/
+var resolveFieldPath = function(typeDescMap, segments) {
+  var f = segments[0];
+
+  if(SYSTEM_FIELDS.indexOf(f) > -1)
+    return segments.length === 1 ? SYSTEM_FIELD_TD : 'cannot query beneath '+f;
+
+  var td = f.indexOf('_') !== 0 && typeDescMap && typeDescMap[f];
+  if(!td)
+    return 'unknown field '+f;
+  if(segments.length === 1)
+    return td;
+
+  var rest = segments.slice(1);
+  var isArray = Array.isArray(td);
+  var baseTd = isArray ? td[0] : td;
+
+  if(isArray && /^[0-9]+$/.test(rest[0])) {
+    //array element by position
+    rest = rest.slice(1);
+    if(!rest.length)
+      return baseTd || ANY_TD;
+  }
+
+  if(!baseTd)
+    return ANY_TD;
+
+  if(baseTd.type === 'reference') {
+    //Only the stub is stored in the referencing object:
+    var sub = rest.join('.');
+    if(sub === '_id' || sub === '_disp' || _.contains(baseTd.denormalize_fields, sub))
+      return ANY_TD;
+    return 'only _id, _disp and denormalized fields of reference '+f+' may be queried';
+  }
+  if(baseTd.type === 'composite') {
+    return resolveFieldPath(baseTd.type_desc_map, rest);
+  }
+
+  var ft = FieldTypeService.getFieldTypeHandler(baseTd);
+  if(!ft || ft.mongo_type === 'Mixed')
+    return ANY_TD;
+
+  return 'cannot query beneath '+f+' (type '+baseTd.type+')';
+};
+
+/**
+ * Check a comparison operand against the field's type
+ * @return problem message, or null if OK
+ **/
+var checkOperand = function(td, value) {
+  if(value === null || value === undefined || isContextRef(value))
+    return null;
+
+  var isArray = Array.isArray(td);
+  var baseTd = isArray ? td[0] : td;
+  if(!baseTd || baseTd === ANY_TD || baseTd === SYSTEM_FIELD_TD)
+    return null;
+
+  if(isArray && Array.isArray(value)) {
+    for(var i=0; i < value.length; i++) {
+      var elemProblem = checkOperand(baseTd, value[i]);
+      if(elemProblem)
+        return elemProblem;
+    }
+    return null;
+  }
+
+  var ft = FieldTypeService.getFieldTypeHandler(baseTd);
+  var mongoType = ft && ft.mongo_type;
+  var ok = true;
+
+  if(mongoType === 'Number') {
+    ok = typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !isNaN(+value));
+  }
+  else if(mongoType === 'Boolean') {
+    ok = typeof value === 'boolean' || value === 'true' || value === 'false';
+  }
+  else if(mongoType === 'Date') {
+    ok = value instanceof Date || typeof value === 'number' || (typeof value === 'string' && !isNaN(Date.parse(value)));
+  }
+  else if(mongoType === 'String') {
+    ok = typeof value === 'string' || typeof value === 'number';
+  }
+
+  return ok ? null : 'expected a value of type '+baseTd.type+', got '+JSON.stringify(value);
+};
+
+/**
+ * Validate the clause for a single field, e.g. {$gt:5, $lt:10} or a literal value.
+ **/
+var validateFieldClause = function(td, clause, path, problems) {
+  var problem;
+
+  var isOpObject = clause && typeof clause === 'object' && !Array.isArray(clause) && !(clause instanceof Date) &&
+    !isContextRef(clause) && _.some(Object.keys(clause), function(k) { return k.indexOf('$') === 0; });
+
+  if(!isOpObject) {
+    //literal equality
+    if(td !== ANY_TD && !(td.type === 'reference' || (Array.isArray(td) && td[0] && td[0].type === 'reference'))) {
+      problem = checkOperand(td, clause);
+      if(problem)
+        problems.push({path:path, message:problem});
+    }
+    return;
+  }
+
+  var typeName = Array.isArray(td) ? 'array:'+(td[0] && td[0].type) : td.type;
+
+  _.forEach(clause, function(operand, op) {
+    var opPath = path+'.'+op;
+
+    if(op.indexOf('$') !== 0) {
+      problems.push({path:opPath, message:'cannot mix operators and field values'});
+      return;
+    }
+
+    if(td !== ANY_TD && td !== SYSTEM_FIELD_TD && getQueryOpObject(op, typeName)) {
+      return; //QueryOp registered for this field type; its operand is up to the QueryOp
+    }
+
+    var operandKind = STANDARD_FIELD_OPS[op];
+    if(!operandKind) {
+      if(queryOpByOpName[op])
+        problems.push({path:opPath, message:'operator '+op+' is not valid for fields of type '+typeName});
+      else
+        problems.push({path:opPath, message:'unknown operator '+op});
+      return;
+    }
+
+    if(isContextRef(operand))
+      return;
+
+    var isReference = td.type === 'reference' || (Array.isArray(td) && td[0] && td[0].type === 'reference');
+
+    switch(operandKind) {
+      case 'value':
+        problem = !isReference && checkOperand(td, operand);
+        break;
+      case 'valueArray':
+        if(!Array.isArray(operand))
+          problem = op+' requires an array';
+        else if(!isReference)
+          problem = checkOperand(Array.isArray(td) ? td : [td], operand);
+        break;
+      case 'boolean':
+        if(typeof operand !== 'boolean' && operand !== 0 && operand !== 1)
+          problem = op+' requires true or false';
+        break;
+      case 'string':
+        if(typeof operand !== 'string')
+          problem = op+' requires a string';
+        break;
+      case 'count':
+        if(typeof operand !== 'number' || operand < 0 || operand % 1 !== 0)
+          problem = op+' requires a non-negative integer';
+        break;
+      case 'object':
+        if(!operand || typeof operand !== 'object' || Array.isArray(operand))
+          problem = op+' requires an object';
+        break;
+      case 'not':
+        if(operand && typeof operand === 'object' && !Array.isArray(operand))
+          validateFieldClause(td, operand, opPath, problems);
+        else if(typeof operand !== 'string')
+          problem = op+' requires an operator object or a regular expression';
+        break;
+    }
+
+    if(problem)
+      problems.push({path:opPath, message:problem});
+    problem = null;
+  });
+};
+
+var validateCondition = function(queryObj, boMetaData, path, problems) {
+  if(!queryObj || typeof queryObj !== 'object' || Array.isArray(queryObj)) {
+    problems.push({path:path || '(root)', message:'condition must be an object'});
+    return;
+  }
+
+  var prefix = path ? path+'.' : '';
+
+  _.forEach(queryObj, function(v, k) {
+    var keyPath = prefix+k;
+
+    if(k === '$and' || k === '$or' || k === '$nor') {
+      if(!Array.isArray(v) || !v.length) {
+        problems.push({path:keyPath, message:k+' requires a non-empty array of conditions'});
+        return;
+      }
+      _.forEach(v, function(term, i) {
+        validateCondition(term, boMetaData, keyPath+'['+i+']', problems);
+      });
+    }
+    else if(k === '$text' || k === '$comment') {
+      return;
+    }
+    else if(k === '$where') {
+      problems.push({path:keyPath, message:'$where is not allowed'});
+    }
+    else if(k.indexOf('$') === 0) {
+      if(!(queryOpByOpName[k] && queryOpByOpName[k]['*']))
+        problems.push({path:keyPath, message:'unknown operator '+k});
+    }
+    else {
+      var td = resolveFieldPath(boMetaData.type_desc_map, k.split('.'));
+      if(typeof td === 'string')
+        problems.push({path:keyPath, message:td});
+      else if(td.computed && !td.computed.persist)
+        problems.push({path:keyPath, message:k+' is a virtual computed field (not stored, so not queryable)'});
+      else
+        validateFieldClause(td, v, keyPath, problems);
+    }
+  });
+};
+
+/**
+ * Check a query against the type descriptors of the class and the QueryOp registry:
+ *  unknown fields, operators invalid for a field's type, and operands of the wrong type.
+ * @return list of problems, [{path, message}]; empty if the query is valid
+ **/
+exports.validateQuery = function(queryObj, boMetaData) {
+  var problems = [];
+  if(!initialized) return problems; //(bootstrapping)
+
+  validateCondition(queryObj, boMetaData, '', problems);
+  return problems;
+};
+
+var SORT_DIRECTIONS = [1, -1, '1', '-1', 'asc', 'desc', 'ascending', 'descending'];
+
+/**
+ * Check a sort spec ({field:1|-1|'asc'|'desc'} or mongoose-style 'field -otherField') against the type descriptors of the class
+ * @return list of problems, [{path, message}]; empty if the sort is valid
+ **/
+exports.validateSort = function(sortObj, boMetaData) {
+  var problems = [];
+
+  if(typeof sortObj === 'string') {
+    sortObj = _.transform(_.compact(sortObj.split(/\s+/)), function(result, f) {
+      if(f.indexOf('-') === 0)
+        result[f.substring(1)] = -1;
+      else
+        result[f] = 1;
+    }, {});
+  }
+  else if(!sortObj || typeof sortObj !== 'object' || Array.isArray(sortObj)) {
+    problems.push({path:'(root)', message:'sort must be an object or a string'});
+    return problems;
+  }
+
+  _.forEach(sortObj, function(dir, f) {
+    var td = resolveFieldPath(boMetaData.type_desc_map, f.split('.'));
+    if(typeof td === 'string')
+      problems.push({path:f, message:td});
+    else if(td.computed && !td.computed.persist)
+      problems.push({path:f, message:f+' is a virtual computed field (not stored, so not sortable)'});
+    else if(!_.contains(SORT_DIRECTIONS, dir))
+      problems.push({path:f, message:'sort direction must be 1, -1, asc or desc'});
+  });
+  return problems;
+};
@@ -0,0 +1,201 @@
+/*
+Copyright (C) 2019  Eugene Lockett  gene@noonian.org
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+/**
+ * queryplan.js
+ *  Index analysis of lowered (mongo) queries:
+ *   which fields each conjunction constrains and how, and which of the collection's indexes can serve it.
+ *  An index can serve a conjunction if its leading key is constrained by equality or range;
+ *  a top-level $or needs a usable index for every branch, else it's a collection scan.
+ **/
+var Q = require('q');
+var _ = require('lodash');
+
+var RANGE_OPS = ['$gt', '$gte', '$lt', '$lte'];
+var EQ_OPS = ['$eq', '$in', '$all'];
+
+var isOpObject = function(clause) {
+  return clause && typeof clause === 'object' && !Array.isArray(clause) && !(clause instanceof Date) && !(clause instanceof RegExp) &&
+    _.some(Object.keys(clause), function(k) { return k.indexOf('$') === 0; });
+};
+
+var isAnchoredRegex = function(re) {
+  var source = re instanceof RegExp ? re.source : ''+re;
+  return source.indexOf('^') === 0;
+};
+
+/**
+ * How a clause constrains its field: eq, range, or scan (can't use an index to narrow: negations, unanchored regex, ...)
+ **/
+var constraintKind = function(clause) {
+  if(clause instanceof RegExp)
+    return isAnchoredRegex(clause) && !clause.ignoreCase ? 'range' : 'scan';
+  if(!isOpObject(clause))
+    return 'eq';
+
+  var ops = Object.keys(clause);
+  if(_.intersection(ops, EQ_OPS).length)
+    return 'eq';
+  if(_.intersection(ops, RANGE_OPS).length)
+    return 'range';
+  if(clause.$regex !== undefined)
+    return isAnchoredRegex(clause.$regex) && !/i/.test(clause.$options || '') ? 'range' : 'scan';
+  return 'scan';
+};
+
+var betterKind = function(a, b) {
+  var rank = {eq:2, range:1, scan:0};
+  return !a || rank[b] > rank[a] ? b : a;
+};
+
+/**
+ * Analyze a conjunction: {fields:{path:kind}, text:bool, or:[[branch analysis], ...]}
+ **/
+var analyzeConjunction = function(queryObj, result) {
+  result = result || {fields:{}, text:false, or:[]};
+
+  _.forEach(queryObj, function(v, k) {
+    if(k === '$and') {
+      _.forEach(v, function(term) {
+        analyzeConjunction(term, result);
+      });
+    }
+    else if(k === '$or') {
+      result.or.push(_.map(v, function(term) {
+        return analyzeConjunction(term);
+      }));
+    }
+    else if(k === '$text') {
+      result.text = true;
+    }
+    else if(k.indexOf('$') !== 0) {
+      result.fields[k] = betterKind(result.fields[k], constraintKind(v));
+    }
+    //($nor, $comment, $where, ... don't narrow anything)
+  });
+
+  return result;
+};
+
+/**
+ * @return the leading fields of an index that a conjunction constrains: equality on each, optionally ending w/ a range
+ **/
+var usablePrefix = function(index, analysis) {
+  var prefix = [];
+  var keys = Object.keys(index.key);
+
+  if(index.key[keys[0]] === 'text') {
+    return analysis.text ? ['$text'] : [];
+  }
+
+  for(var i=0; i < keys.length; i++) {
+    var kind = analysis.fields[keys[i]];
+    if(!kind || kind === 'scan')
+      break;
+    prefix.push(keys[i]);
+    if(kind === 'range')
+      break;
+  }
+  return prefix;
+};
+
+var reportConjunction = function(analysis, indexes) {
+  var indexReport = _.map(indexes, function(index) {
+    var prefix = usablePrefix(index, analysis);
+    return {name:index.name, key:index.key, usable:prefix.length > 0, prefix:prefix};
+  });
+  var usable = _.filter(indexReport, 'usable');
+
+  var report = {
+    fields:analysis.fields,
+    indexes:indexReport,
+    best:usable.length ? _.max(usable, function(ir) { return ir.prefix.length; }).name : null
+  };
+
+  //Each top-level $or w/in the conjunction: if the conjunction itself has no usable index,
+  // mongo can still use one per branch
+  if(analysis.or.length) {
+    report.or = _.map(analysis.or, function(branches) {
+      return _.map(branches, function(branch) {
+        return reportConjunction(branch, indexes);
+      });
+    });
+  }
+
+  return report;
+};
+
+var isIndexed = function(report) {
+  if(report.best)
+    return true;
+  return _.some(report.or, function(branches) {
+    return _.every(branches, isIndexed);
+  });
+};
+
+/**
+ * Which of a collection's indexes a lowered query can use
+ * @param mongoQuery lowered query (see QueryOpService.lowerQuery)
+ * @param indexes index specs, as from collection.indexes(): [{name, key}]
+ * @return {fields, indexes:[{name, key, usable, prefix}], best, or, collectionScan}
+ **/
+var getIndexReport =
+exports.getIndexReport = function(mongoQuery, indexes) {
+  var report = reportConjunction(analyzeConjunction(mongoQuery || {}), indexes);
+  report.collectionScan = !isIndexed(report);
+  return report;
+};
+
+/**
+ * Make a lowered query JSON-friendly for display (RegExps become /source/flags strings)
+ **/
+var describeQuery =
+exports.describeQuery = function(mongoQuery) {
+  if(mongoQuery instanceof RegExp)
+    return ''+mongoQuery;
+  if(Array.isArray(mongoQuery))
+    return _.map(mongoQuery, describeQuery);
+  if(mongoQuery && typeof mongoQuery === 'object' && !(mongoQuery instanceof Date))
+    return _.mapValues(mongoQuery, describeQuery);
+  return mongoQuery;
+};
+
+/**
+ * Index report and mongo's query plan for a lowered query
+ * @param TargetModel
+ * @param mongoQuery lowered query
+ * @param sort optional sort object
+ * @return promise resolving to {indexReport, plan}
+ **/
+exports.explain = function(TargetModel, mongoQuery, sort) {
+  var collection = TargetModel.collection;
+
+  var cursor = collection.find(mongoQuery);
+  if(sort)
+    cursor.sort(sort);
+
+  return Q.all([
+    collection.indexes(),
+    cursor.explain()
+  ])
+  .then(function(resultArr) {
+    return {
+      indexReport:getIndexReport(mongoQuery, resultArr[0]),
+      plan:resultArr[1].queryPlanner || resultArr[1]
+    };
+  });
+};
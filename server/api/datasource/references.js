@@ -249,8 +249,9 @@ const processInwardRefs = function(isDelete) {
           }
         }
         
-        //Save referencing object w/out affecting it's version or triggering data triggers
-        return bo.save({useVersionId:bo.__ver, skipTriggers:true},null);
+        //Save referencing object w/out affecting it's version, triggering data triggers or checking validation rules
+        // (the save still recomputes its persisted computed fields, which may use the denormalized values)
+        return bo.save({useVersionId:bo.__ver, skipTriggers:true, skipValidation:true},null);
       });
       
       promises.push(inrefPromise);
@@ -463,6 +464,113 @@ const processBackRefs = function(isCreate, isUpdate, isDelete) {
 };
 
 
+/**
+ * @return promise resolving to plain list of noonian.references records pointing to an object
+ *  (used to snapshot incoming refs when a BO is soft-deleted)
+ */
+exports.getIncomingRefs = function(className, id) {
+  return IncomingRefModel.find({target_id:id, target_class:className}).lean().exec().then(function(irefs) {
+    return _.map(irefs, function(iref) {
+      return _.pick(iref, 'referencing_class', 'referencing_id', 'referencing_field', 'referenced_from_array');
+    });
+  });
+};
+
+/**
+ * Reverse the nulling-out of references performed by processInwardRefs on delete:
+ *  re-link referencing objects to restored modelObj, and re-register the incoming refs.
+ *  A single reference field that has since been pointed elsewhere is left alone.
+ * @param irefs list from getIncomingRefs()
+ */
+exports.restoreIncomingRefs = function(modelObj, irefs) {
+  var myClassName = modelObj._bo_meta_data.class_name;
+  
+  var promises = _.map(irefs, function(iref) {
+    var refClass = iref.referencing_class;
+    var refId = iref.referencing_id;
+    var refField = iref.referencing_field;
+    var isArray = iref.referenced_from_array;
+    
+    if(!db[refClass]) {
+      return console.error('[REF-RESTORE] Bad incoming reference class %s in %s.%s', refClass, myClassName, modelObj._id);
+    }
+    
+    return db[refClass].findById(refId).then(function(bo) {
+      if(!bo) return;
+      var refTd = bo._bo_meta_data.type_desc_map[refField];
+      if(!refTd) return;
+      
+      if(!isArray) {
+        if(bo[refField]) {
+          if(bo[refField]._id !== modelObj._id) return;
+        }
+        else {
+          bo[refField] = createRefStub(refTd, {_id:modelObj._id, ref_class:myClassName});
+        }
+        augmentRef.apply(bo[refField], [bo, refField, refTd, modelObj]);
+      }
+      else {
+        if(!bo[refField]) {
+          bo[refField] = [];
+        }
+        var fieldVal = bo[refField];
+        var pos = _.findIndex(fieldVal, function(v) { return v && v._id === modelObj._id; });
+        if(pos < 0) {
+          //Fill the slot processInwardRefs nulled out, otherwise append
+          pos = _.findIndex(fieldVal, function(v) { return !v; });
+          var stub = createRefStub(refTd[0], {_id:modelObj._id, ref_class:myClassName});
+          if(pos < 0) {
+            fieldVal.push(stub);
+            pos = fieldVal.length-1;
+          }
+          else {
+            fieldVal.set(pos, stub);
+          }
+        }
+        augmentRef.apply(fieldVal[pos], [bo, refField, refTd[0], modelObj]);
+      }
+      
+      return bo.save({useVersionId:bo.__ver, skipTriggers:true, skipValidation:true},null).then(function() {
+        return registerRef(refClass, refId, refField, myClassName, modelObj._id, isArray);
+      });
+    });
+  });
+  
+  return Q.all(promises);
+};
+
+
+/**
+ * @return promise resolving to list of {field, ref_class, _id} for modelObj's references to objects that don't exist
+ */
+exports.findDanglingRefs = function(modelObj) {
+  var checks = [];
+  
+  _.forEach(modelObj._bo_meta_data.type_desc_map, function(td, fieldName) {
+    var isArray = Array.isArray(td);
+    var refTd = isArray ? td[0] : td;
+    if(fieldName.indexOf('_') === 0 || !refTd || refTd.type !== 'reference' || !modelObj[fieldName]) 
+      return;
+    
+    var values = isArray ? modelObj[fieldName] : [modelObj[fieldName]];
+    _.forEach(values, function(v) {
+      if(!v || !v._id) return;
+      
+      var dangling = {field:fieldName, ref_class:refTd.ref_class || v.ref_class, _id:v._id};
+      var RefModel = db[dangling.ref_class];
+      if(!RefModel) {
+        return checks.push(dangling);
+      }
+      checks.push(RefModel.count({_id:v._id}).exec().then(function(matchCount) {
+        return matchCount ? null : dangling;
+      }));
+    });
+  });
+  
+  return Q.all(checks).then(_.compact);
+};
+
+
 exports.init = function(conf) {
   console.log('initializing reference service');
 
@@ -581,7 +689,7 @@ exports.repair = function() {
                     augmentRef.bind(bo[refTd.field_name], bo, refTd.field_name, refTd)
                   )
                   .then(function() {
-                    return bo.save({useVersionId:bo.__ver, skipTriggers:true}, null);
+                    return bo.save({useVersionId:bo.__ver, skipTriggers:true, skipValidation:true}, null);
                   });
                 });
               }
@@ -654,7 +762,7 @@ exports.repair = function() {
           else {
             bo[field] = null;
           }
-          promiseList.push(bo.save({useVersionId:bo.__ver, skipTriggers:true}, null));
+          promiseList.push(bo.save({useVersionId:bo.__ver, skipTriggers:true, skipValidation:true}, null));
         });
       }
     });
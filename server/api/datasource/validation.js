@@ -0,0 +1,320 @@
+/*
+Copyright (C) 2019  Eugene Lockett  gene@noonian.org
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+/**
+ * validation.js
+ *  Validation rules declared in BusinessObjectDef definitions, checked on every save (see mongoose_intercept)
+ *  unless saved w/ option skipValidation.
+ *
+ *  Field rules, in the field's type descriptor (for array fields, the element's; composites are checked recursively):
+ *   required:true, min, max (numbers, dates; ISO date strings for date fields), min_length, max_length, pattern (w/ optional pattern_flags),
+ *   allowed_values:[...]; fields of type enum must hold a value of their Enumeration.
+ *
+ *  Cross-field rules, in the definition under _validations (inherited by subclasses):
+ *   {"compare":["end_date", "gte", "start_date"]}                     (gt, gte, lt, lte, eq, ne)
+ *   {"when":{"status":"closed"}, "condition":{"closed_date":{"$exists":true}}, "fields":["closed_date"],
+ *    "message_key":"closed_date_required", "message":"..."}
+ *  ("when" and "condition" are query conditions; the rule fails if "when" is satisfied and "condition" isn't;
+ *   w/o "fields", the failure is reported under path "_")
+ *
+ *  A failed save is rejected w/ a 400 error carrying problems:[{path, rule, message}] and fieldErrors:{path:[message]}.
+ *  Messages come from the LabelGroup sys.validation in the saving user's language (a rule's message_key may also be
+ *  in sys.validation.<ClassName>), w/ field labels from sys.dbui.bo.<ClassName>.
+ **/
+var Q = require('q');
+var _ = require('lodash');
+
+var db = require('./index');
+var QueryOpService = require('./query');
+
+var ENGLISH_ID = '-9vPfv2lEeSFtiimx_V4dw';
+var MESSAGES_KEY = 'sys.validation';
+var LABELS_PREFIX = 'sys.dbui.bo.';
+
+//Used when sys.validation doesn't have a message
+var DEFAULT_MESSAGES = {
+  required:'${label} is required',
+  min:'${label} must be at least ${min}',
+  max:'${label} must be at most ${max}',
+  min_length:'${label} must be at least ${min_length} characters',
+  max_length:'${label} must be at most ${max_length} characters',
+  pattern:'${label} is not in the expected format',
+  allowed_values:'${label} must be one of: ${values}',
+  enum:'${label} must be one of: ${values}',
+  compare_gt:'${label} must be greater than ${other}',
+  compare_gte:'${label} must be greater than or equal to ${other}',
+  compare_lt:'${label} must be less than ${other}',
+  compare_lte:'${label} must be less than or equal to ${other}',
+  compare_eq:'${label} must equal ${other}',
+  compare_ne:'${label} must differ from ${other}',
+  condition:'${label} is invalid'
+};
+
+var COMPARATORS = {
+  gt:function(a, b) { return a > b; },
+  gte:function(a, b) { return a >= b; },
+  lt:function(a, b) { return a < b; },
+  lte:function(a, b) { return a <= b; },
+  eq:function(a, b) { return a === b; },
+  ne:function(a, b) { return a !== b; }
+};
+
+
+var isEmpty = function(value) {
+  return value === null || value === undefined || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+};
+
+var comparable = function(value) {
+  if(value instanceof Date)
+    return value.getTime();
+  if(value && value._id !== undefined)
+    return value._id; //reference
+  return value;
+};
+
+var toBound = function(bound, value) {
+  return value instanceof Date ? new Date(bound).getTime() : bound;
+};
+
+/**
+ * Check the rules on a single value
+ * @param failures array to which to append {path, rule, params}
+ * @param enumsNeeded map enum name -> [{path, value}] of enum values to check once Enumerations are loaded
+ **/
+var checkValue = function(td, value, path, failures, enumsNeeded) {
+  var fail = function(rule, params) {
+    failures.push({path:path, rule:rule, params:params || {}});
+  };
+
+  if(isEmpty(value)) {
+    if(td.required)
+      fail('required');
+    return;
+  }
+
+  if(td.min !== undefined || td.max !== undefined) {
+    //(string-valued date fields hold ISO dates, which compare as strings)
+    if(typeof value === 'number' || value instanceof Date || (typeof value === 'string' && typeof (td.min || td.max) === 'string')) {
+      var v = comparable(value);
+      if(td.min !== undefined && v < toBound(td.min, value))
+        fail('min', {min:td.min});
+      if(td.max !== undefined && v > toBound(td.max, value))
+        fail('max', {max:td.max});
+    }
+  }
+
+  if(typeof value === 'string') {
+    if(td.min_length !== undefined && value.length < td.min_length)
+      fail('min_length', {min_length:td.min_length});
+    if(td.max_length !== undefined && value.length > td.max_length)
+      fail('max_length', {max_length:td.max_length});
+    if(td.pattern) {
+      var re;
+      try {
+        re = new RegExp(td.pattern, td.pattern_flags || '');
+      }
+      catch(err) {
+        console.error('Bad validation pattern %s on %s: %s', td.pattern, path, err);
+      }
+      if(re && !re.test(value))
+        fail('pattern', {pattern:td.pattern});
+    }
+  }
+
+  if(td.allowed_values && !_.contains(td.allowed_values, value))
+    fail('allowed_values', {values:td.allowed_values.join(', ')});
+
+  if(td.type === 'enum' && td.enum) {
+    enumsNeeded[td.enum] = enumsNeeded[td.enum] || [];
+    enumsNeeded[td.enum].push({path:path, value:value});
+  }
+
+  if(td.type === 'composite' && td.type_desc_map && typeof value === 'object') {
+    checkFields(td.type_desc_map, value, path+'.', failures, enumsNeeded);
+  }
+};
+
+var checkFields = function(typeDescMap, obj, pathPrefix, failures, enumsNeeded) {
+  _.forEach(typeDescMap, function(td, fieldName) {
+    if(fieldName.indexOf('_') === 0 || !td)
+      return;
+    var path = pathPrefix+fieldName;
+    var value = obj[fieldName];
+
+    if(Array.isArray(td)) {
+      var elemTd = td[0] || {};
+      if(elemTd.required && isEmpty(value)) {
+        failures.push({path:path, rule:'required', params:{}});
+        return;
+      }
+      _.forEach(value, function(elem, i) {
+        checkValue(_.omit(elemTd, 'required'), elem, path+'.'+i, failures, enumsNeeded);
+      });
+    }
+    else {
+      checkValue(td, value, path, failures, enumsNeeded);
+    }
+  });
+};
+
+/**
+ * Check the _validations (cross-field) rules
+ **/
+var checkCrossField = function(modelObj, rules, failures) {
+  _.forEach(rules, function(rule) {
+    try {
+      if(rule.compare) {
+        var field = rule.compare[0], op = rule.compare[1], other = rule.compare[2];
+        var a = modelObj.get(field), b = modelObj.get(other);
+        //(nothing to compare until both are set; use required for that)
+        if(!isEmpty(a) && !isEmpty(b) && COMPARATORS[op] && !COMPARATORS[op](comparable(a), comparable(b))) {
+          _.forEach(rule.fields || [field], function(path) {
+            failures.push({path:path, rule:'compare_'+op, params:{other:other, otherField:other}, custom:rule});
+          });
+        }
+      }
+      else if(rule.condition) {
+        if((!rule.when || QueryOpService.satisfiesCondition(modelObj, rule.when)) &&
+          !QueryOpService.satisfiesCondition(modelObj, rule.condition)) {
+          _.forEach(rule.fields || ['_'], function(path) {
+            failures.push({path:path, rule:'condition', params:{}, custom:rule});
+          });
+        }
+      }
+    }
+    catch(err) {
+      console.error('Error evaluating validation rule %j on %s: %s', rule, modelObj._bo_meta_data.class_name, err);
+    }
+  });
+};
+
+/**
+ * Check enum-typed values against their Enumerations
+ **/
+var checkEnums = function(enumsNeeded, failures) {
+  var names = Object.keys(enumsNeeded);
+  if(!names.length || !db.Enumeration)
+    return Q(true);
+
+  return db.Enumeration.find({name:{$in:names}}).exec().then(function(enumList) {
+    var valuesByName = _.indexBy(enumList, 'name');
+    _.forEach(enumsNeeded, function(checks, name) {
+      var enumObj = valuesByName[name];
+      if(!enumObj)
+        return; //(missing Enumeration: nothing to check against)
+      _.forEach(checks, function(c) {
+        if(!_.contains(enumObj.values, c.value))
+          failures.push({path:c.path, rule:'enum', params:{values:enumObj.values.join(', ')}});
+      });
+    });
+  });
+};
+
+
+/**
+ * Build the error for a failed validation, w/ messages in the user's language
+ **/
+var buildError = function(modelObj, failures, user) {
+  var className = modelObj._bo_meta_data.class_name;
+  var lang = user && user.language && user.language._id ? user.language._id : ENGLISH_ID;
+  var keys = [MESSAGES_KEY, MESSAGES_KEY+'.'+className, LABELS_PREFIX+className];
+
+  var lgPromise = db.LabelGroup ?
+    db.LabelGroup.find({key:{$in:keys}, 'language._id':{$in:_.uniq([lang, ENGLISH_ID])}}).exec() :
+    Q([]);
+
+  return Q(lgPromise).then(function(lgList) {
+    //user's language over english
+    var lookup = function(key) {
+      var lg = _.find(lgList, function(l) { return l.key === key && l.language._id === lang; }) ||
+        _.find(lgList, function(l) { return l.key === key; });
+      return (lg && lg.value) || {};
+    };
+    var messages = _.assign({}, DEFAULT_MESSAGES, lookup(MESSAGES_KEY), lookup(MESSAGES_KEY+'.'+className));
+    var labels = lookup(LABELS_PREFIX+className);
+
+    //(array indexes dropped; composite sub-fields are "<field label> <Sub Field>")
+    var labelFor = function(path) {
+      var segments = _.reject(path.split('.'), function(seg) { return /^\d+$/.test(seg); });
+      var fieldPath = segments.join('.');
+      if(labels[fieldPath])
+        return labels[fieldPath];
+      if(segments.length === 1)
+        return _.startCase(fieldPath);
+      return labelFor(segments[0])+' '+_.startCase(_.last(segments));
+    };
+
+    var problems = _.map(failures, function(f) {
+      var template = (f.custom && f.custom.message_key && messages[f.custom.message_key]) ||
+        (f.custom && f.custom.message) ||
+        messages[f.rule];
+      var params = _.assign({label:(f.path === '_' ? className : labelFor(f.path))}, f.params);
+      if(f.params.otherField)
+        params.other = labelFor(f.params.otherField);
+
+      //(plain ${name} substitution: templates are data, so never evaluated as code)
+      var message = (''+template).replace(/\$\{(\w+)\}/g, function(match, name) {
+        return params[name] !== undefined ? params[name] : match;
+      });
+      return {path:f.path, rule:f.rule, message:message};
+    });
+
+    var fieldErrors = {};
+    _.forEach(problems, function(p) {
+      fieldErrors[p.path] = fieldErrors[p.path] || [];
+      fieldErrors[p.path].push(p.message);
+    });
+
+    var err = new Error(_.pluck(problems, 'message').join('; '));
+    err.status = 400;
+    err.problems = problems;
+    err.fieldErrors = fieldErrors;
+    return err;
+  });
+};
+
+/**
+ * Check a model object against the rules of its class
+ * @param modelObj the object being saved
+ * @param user the saving user, for message language
+ * @return promise, rejected w/ a 400 error w/ problems and fieldErrors if any rule fails
+ **/
+exports.validate = function(modelObj, user) {
+  var metaData = modelObj._bo_meta_data;
+  var failures = [];
+  var enumsNeeded = {};
+
+  checkFields(metaData.type_desc_map, modelObj, '', failures, enumsNeeded);
+
+  //enum membership only for values being changed (Enumerations may since have dropped a value)
+  if(!modelObj.isNew) {
+    enumsNeeded = _.mapValues(enumsNeeded, function(checks) {
+      return _.filter(checks, function(c) { return modelObj.isModified(c.path.split('.')[0]); });
+    });
+  }
+
+  checkCrossField(modelObj, metaData.validations, failures);
+
+  return checkEnums(enumsNeeded, failures).then(function() {
+    if(!failures.length)
+      return true;
+    return buildError(modelObj, failures, user).then(function(err) {
+      throw err;
+    });
+  });
+};
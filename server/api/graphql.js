@@ -0,0 +1,397 @@
+/*
+Copyright (C) 2019  Eugene Lockett  gene@noonian.org
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+/**
+ * graphql.js
+ *  Read-only GraphQL schema generated from the BusinessObjectDefs.
+ *
+ *  For each class Foo the Query type has:
+ *    Foo(id:ID!):Foo
+ *    Foo_list(filter:Foo_filter, where:JSON, sort:JSON, limit:Int, skip:Int):[Foo]
+ *  Reference fields resolve to the referenced object; Foo_filter has a field <field>_<op> for each
+ *  QueryOp applicable to a field's type (e.g. name_eq, name_contains), plus AND / OR.
+ *  Every query and reference resolution is subject to the current user's read DACs.
+ *
+ *  The schema is rebuilt lazily after any BusinessObjectDef or QueryOp change.
+ **/
+var Q = require('q');
+var _ = require('lodash');
+var gql = require('graphql');
+
+var db = require('./datasource');
+var auth = require('./auth');
+var DataTriggerService = require('./datasource/datatrigger');
+
+var DEFAULT_LIMIT = 100;
+var MAX_LIMIT = 1000;
+
+var NAME_REGEX = /^[_a-zA-Z][_a-zA-Z0-9]*$/;
+var RESERVED_NAMES = ['Query', 'JSON', 'DateTime', 'String', 'Float', 'Int', 'Boolean', 'ID'];
+
+var currentSchema = null;
+
+
+//Scalar for Mixed-type and otherwise un-typed values
+var parseJsonLiteral = function(ast, variables) {
+  switch(ast.kind) {
+    case gql.Kind.STRING:
+    case gql.Kind.BOOLEAN:
+      return ast.value;
+    case gql.Kind.INT:
+    case gql.Kind.FLOAT:
+      return parseFloat(ast.value);
+    case gql.Kind.OBJECT:
+      var obj = {};
+      _.forEach(ast.fields, function(f) {
+        obj[f.name.value] = parseJsonLiteral(f.value, variables);
+      });
+      return obj;
+    case gql.Kind.LIST:
+      return _.map(ast.values, function(v) { return parseJsonLiteral(v, variables); });
+    case gql.Kind.VARIABLE:
+      return variables ? variables[ast.name.value] : undefined;
+    default:
+      return null;
+  }
+};
+
+var JsonType = new gql.GraphQLScalarType({
+  name:'JSON',
+  description:'Arbitrary JSON value',
+  serialize:_.identity,
+  parseValue:_.identity,
+  parseLiteral:parseJsonLiteral
+});
+
+var DateTimeType = new gql.GraphQLScalarType({
+  name:'DateTime',
+  description:'ISO-8601 date/time string',
+  serialize:function(v) {
+    var d = v instanceof Date ? v : new Date(v);
+    return isNaN(d.getTime()) ? null : d.toISOString();
+  },
+  parseValue:function(v) {
+    return new Date(v);
+  },
+  parseLiteral:function(ast) {
+    return ast.kind === gql.Kind.STRING ? new Date(ast.value) : null;
+  }
+});
+
+//FieldType.mongo_type -> GraphQL scalar
+var scalarByMongoType = {
+  String:gql.GraphQLString,
+  Number:gql.GraphQLFloat,
+  Boolean:gql.GraphQLBoolean,
+  Date:DateTimeType
+};
+
+
+/**
+ * Fetch objects of TargetModel matching queryObj, subject to the read DACs of the user in ctx
+ * @return promise resolving to array of plain objects ([] if user has no read access to the class)
+ **/
+var findReadable = function(ctx, TargetModel, queryObj, options) {
+  var className = TargetModel._bo_meta_data.class_name;
+  if(!ctx.dacs[className]) {
+    ctx.dacs[className] = auth.aggregateReadDacs(ctx.req, TargetModel).then(null, function() {
+      return false;
+    });
+  }
+
+  return ctx.dacs[className].then(function(dacObj) {
+    if(!dacObj)
+      return [];
+
+    if(dacObj.condition) {
+      queryObj = {$and:[queryObj, _.cloneDeep(dacObj.condition)]};
+    }
+    queryObj.$useContext = {currentUser:ctx.currUser};
+
+    var query = TargetModel.find(queryObj, dacObj.fieldRestrictions);
+    if(options && options.sort)
+      query.sort(options.sort);
+    if(options && options.skip)
+      query.skip(options.skip);
+    query.limit(Math.min((options && options.limit) || DEFAULT_LIMIT, MAX_LIMIT));
+
+    return query.exec().then(function(result) {
+      return _.map(result, function(r) { return r.toJSON(); });
+    });
+  });
+};
+
+
+/**
+ * Convert a generated filter input value into a noonian query
+ **/
+var filterToQuery = function(filter, opFieldMap) {
+  var clauses = [];
+
+  _.forEach(filter, function(value, key) {
+    if(key === 'AND' || key === 'OR') {
+      var sub = _.map(value, function(f) { return filterToQuery(f, opFieldMap); });
+      if(sub.length)
+        clauses.push(key === 'AND' ? {$and:sub} : {$or:sub});
+    }
+    else if(opFieldMap[key]) {
+      var clause = {};
+      clause[opFieldMap[key].field] = {};
+      clause[opFieldMap[key].field][opFieldMap[key].op] = value;
+      clauses.push(clause);
+    }
+  });
+
+  if(!clauses.length)
+    return {};
+  return clauses.length === 1 ? clauses[0] : {$and:clauses};
+};
+
+
+/**
+ * Builds the schema from the current model cache
+ **/
+var buildSchema = function() {
+  var QueryOpService = db._svc.QueryOpService;
+  var FieldTypeService = db._svc.FieldTypeService;
+
+  var classNames = _.filter(db.getClassNames(), function(c) {
+    return NAME_REGEX.test(c) && c.indexOf('__') !== 0 && RESERVED_NAMES.indexOf(c) === -1;
+  });
+
+  var objectTypes = {};
+  var filterTypes = {};
+
+  var scalarFor = function(td) {
+    var ft = FieldTypeService.getFieldTypeHandler(td);
+    return (ft && scalarByMongoType[ft.mongo_type]) || JsonType;
+  };
+
+  //GraphQL type for a field's type descriptor
+  var typeFor = function(td, ownerName, fieldName) {
+    if(Array.isArray(td)) {
+      return td[0] ? new gql.GraphQLList(typeFor(td[0], ownerName, fieldName)) : new gql.GraphQLList(JsonType);
+    }
+    if(td.type === 'reference' && objectTypes[td.ref_class]) {
+      return objectTypes[td.ref_class];
+    }
+    if(td.type === 'composite' && td.type_desc_map) {
+      return new gql.GraphQLObjectType({
+        name:ownerName+'_'+fieldName,
+        fields:fieldsFor(td.type_desc_map, ownerName+'_'+fieldName)
+      });
+    }
+    return scalarFor(td);
+  };
+
+  //Resolves a reference (or array of references) to the referenced object(s)
+  var referenceResolver = function(fieldName, td) {
+    var isArray = Array.isArray(td);
+    var RefModel = db[(isArray ? td[0] : td).ref_class];
+
+    return function(parent, args, ctx) {
+      var v = parent[fieldName];
+      var stubs = _.compact(isArray ? v : [v]);
+      if(!stubs.length)
+        return isArray ? [] : null;
+
+      return findReadable(ctx, RefModel, {_id:{$in:_.pluck(stubs, '_id')}}, {limit:stubs.length}).then(function(found) {
+        var byId = _.indexBy(found, '_id');
+        //Objects the user can't read remain stubs
+        var resolved = _.map(stubs, function(stub) { return byId[stub._id] || stub; });
+        return isArray ? resolved : resolved[0];
+      });
+    };
+  };
+
+  var fieldsFor = function(typeDescMap, ownerName) {
+    return function() {
+      var fields = {
+        _id:{type:gql.GraphQLID},
+        _disp:{
+          type:gql.GraphQLString,
+          resolve:function(parent) { return parent.__disp || parent._disp; }
+        }
+      };
+
+      _.forEach(typeDescMap, function(td, fieldName) {
+        if(fieldName.indexOf('_') === 0 || !NAME_REGEX.test(fieldName) || !td)
+          return;
+
+        var f = {type:typeFor(td, ownerName, fieldName)};
+        if(td.description)
+          f.description = ''+td.description;
+
+        var baseTd = Array.isArray(td) ? td[0] : td;
+        if(baseTd && baseTd.type === 'reference' && objectTypes[baseTd.ref_class]) {
+          f.resolve = referenceResolver(fieldName, td);
+        }
+        fields[fieldName] = f;
+      });
+      return fields;
+    };
+  };
+
+  //Filter input type, w/ a field per applicable QueryOp; opFieldMap maps the input field to {field, op}
+  var buildFilterType = function(className) {
+    var typeDescMap = db[className]._bo_meta_data.type_desc_map;
+    var opFieldMap = {};
+
+    var filterType = new gql.GraphQLInputObjectType({
+      name:className+'_filter',
+      fields:function() {
+        var fields = {
+          AND:{type:new gql.GraphQLList(filterType)},
+          OR:{type:new gql.GraphQLList(filterType)},
+          _id_eq:{type:gql.GraphQLID},
+          _id_in:{type:new gql.GraphQLList(gql.GraphQLID)}
+        };
+        opFieldMap._id_eq = {field:'_id', op:'$eq'};
+        opFieldMap._id_in = {field:'_id', op:'$in'};
+
+        _.forEach(typeDescMap, function(td, fieldName) {
+          if(fieldName.indexOf('_') === 0 || !NAME_REGEX.test(fieldName) || !td)
+            return;
+
+          var typeName = Array.isArray(td) ? 'array:'+(td[0] && td[0].type) : td.type;
+          _.forEach(QueryOpService.getQueryOpList(typeName), function(qo) {
+            var inputName = fieldName+'_'+qo.name.replace(/^\$/, '');
+            if(!NAME_REGEX.test(inputName) || fields[inputName])
+              return;
+            fields[inputName] = {type:JsonType, description:'QueryOp '+qo.name};
+            opFieldMap[inputName] = {field:fieldName, op:qo.name};
+          });
+        });
+        return fields;
+      }
+    });
+
+    return {type:filterType, opFieldMap:opFieldMap};
+  };
+
+
+  _.forEach(classNames, function(className) {
+    var metaData = db[className]._bo_meta_data;
+    objectTypes[className] = new gql.GraphQLObjectType({
+      name:className,
+      fields:fieldsFor(metaData.type_desc_map, className)
+    });
+    filterTypes[className] = buildFilterType(className);
+  });
+
+
+  var queryFields = {};
+  _.forEach(classNames, function(className) {
+    var TargetModel = db[className];
+    var filterInfo = filterTypes[className];
+
+    queryFields[className] = {
+      type:objectTypes[className],
+      args:{
+        id:{type:new gql.GraphQLNonNull(gql.GraphQLID)}
+      },
+      resolve:function(root, args, ctx) {
+        return findReadable(ctx, TargetModel, {_id:args.id}, {limit:1}).then(function(result) {
+          return result[0] || null;
+        });
+      }
+    };
+
+    queryFields[className+'_list'] = {
+      type:new gql.GraphQLList(objectTypes[className]),
+      args:{
+        filter:{type:filterInfo.type},
+        where:{type:JsonType, description:'query condition, as accepted by the db web service'},
+        sort:{type:JsonType},
+        limit:{type:gql.GraphQLInt},
+        skip:{type:gql.GraphQLInt}
+      },
+      resolve:function(root, args, ctx) {
+        var clauses = [];
+        if(args.filter)
+          clauses.push(filterToQuery(args.filter, filterInfo.opFieldMap));
+        if(args.where) {
+          //(validated as in the db web service: rejects unknown fields and operators)
+          var problems = QueryOpService.validateQuery(args.where, TargetModel._bo_meta_data);
+          if(problems.length) {
+            var err = new Error('invalid query: '+_.map(problems, function(p) { return p.path+': '+p.message; }).join('; '));
+            err.extensions = {problems:problems};
+            throw err;
+          }
+          clauses.push(args.where);
+        }
+
+        var queryObj = clauses.length === 0 ? {} : (clauses.length === 1 ? clauses[0] : {$and:clauses});
+        return findReadable(ctx, TargetModel, queryObj, args);
+      }
+    };
+  });
+
+  return new gql.GraphQLSchema({
+    query:new gql.GraphQLObjectType({
+      name:'Query',
+      fields:queryFields
+    })
+  });
+};
+
+
+var invalidate = function() {
+  currentSchema = null;
+};
+
+/**
+ * @return the current schema, building it if necessary
+ **/
+var getSchema =
+exports.getSchema = function() {
+  if(!currentSchema) {
+    console.log('Building GraphQL schema');
+    currentSchema = buildSchema();
+  }
+  return currentSchema;
+};
+
+/**
+ * Execute a GraphQL request on behalf of the user making req
+ * @return promise resolving to the GraphQL result ({data, errors})
+ **/
+exports.execute = function(req, query, variables, operationName) {
+  var schema;
+  try {
+    schema = getSchema();
+  }
+  catch(err) {
+    return Q.reject(err);
+  }
+
+  return auth.getCurrentUser(req).then(function(userObj) {
+    var ctx = {
+      req:req,
+      currUser:userObj ? userObj.toPlainObject() : null,
+      dacs:{}
+    };
+    return gql.graphql(schema, query, null, ctx, variables, operationName);
+  });
+};
+
+exports.init = function() {
+  //Rebuilt along w/ the mongoose models when a BusinessObjectDef changes
+  db.onModelUpdate(invalidate);
+  //... and when QueryOps change, since they define the filter fields
+  DataTriggerService.registerDataTrigger('sys.internal.graphqlQueryOps', 'ddY7PaHnQsGCChSZfL12wg', 'after', true, true, true, invalidate);
+};
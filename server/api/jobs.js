@@ -0,0 +1,382 @@
+/*
+Copyright (C) 2019  Eugene Lockett  gene@noonian.org
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+/**
+ * jobs.js
+ *  Durable background job queue, kept in the noonian.jobs collection; available to server-side code as injectable "jobs".
+ *
+ *  A job is either a registered job type (registerJobType) or an ad-hoc function (stored as source, so it can't close
+ *  over variables; pass what it needs in params), invoked via tools/invoker
+ *  w/ injectables:
+ *   params  the params passed to enqueue
+ *   job     {id, progress(percent, message), isCancelled()}
+ *  Every instance runs a worker that claims queued jobs, up to jobConcurrency (instance config; default 2) at a time.
+ *  (set disableJobWorker in instance config to only enqueue from an instance)
+ *
+ *  Running jobs heartbeat; a job whose worker stops heartbeating (e.g. crashed) is re-queued, up to MAX_ATTEMPTS times.
+ *  Cancellation is cooperative: a queued job is cancelled outright, a running one sees job.isCancelled() become true.
+ **/
+var Q = require('q');
+var _ = require('lodash');
+
+var conf = require('../conf');
+var db = require('./datasource');
+var invokerTool = require('../tools/invoker');
+var instanceId = require('./datasource/lock').instanceId;
+
+var mongoose = require('mongoose');
+
+var JobSchema = new mongoose.Schema({
+    type: String,            //registered job type (null for an ad-hoc function)
+    fn: Function,            //ad-hoc function
+    params: String,          //JSON-serialized
+    status: String,          //queued, running, succeeded, failed, cancelled
+    progress: Number,        //percent
+    progress_message: String,
+    result: String,          //JSON-serialized return value
+    error: String,
+    user: mongoose.Schema.Types.Mixed,   //{_id, _disp} of who enqueued it
+    created: Date,
+    started: Date,
+    ended: Date,
+    owner: String,           //instance running it
+    heartbeat: Date,
+    attempts: Number,
+    cancel_requested: Boolean
+  },
+  {collection:'noonian.jobs'}
+);
+JobSchema.index({status:1, created:1});
+JobSchema.index({ended:1}, {expireAfterSeconds:30*24*60*60});
+
+var JobModel = mongoose.model('Job', JobSchema);
+
+var POLL_INTERVAL = 5000;
+var HEARTBEAT_INTERVAL = 10000;
+var STALE_AFTER = 6*HEARTBEAT_INTERVAL;
+var MAX_ATTEMPTS = 3;
+
+var jobTypes = {};
+
+//Jobs running in this instance: id -> job handle
+var activeJobs = {};
+var workerStarted = false;
+
+
+var serialize = function(val) {
+  if(val === undefined) {
+    return null;
+  }
+  try {
+    return JSON.stringify(val);
+  }
+  catch(err) {
+    return JSON.stringify(''+val);
+  }
+};
+
+var jobError = function(message, status) {
+  var err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+/**
+ * @return plain object describing a job, for status reporting
+ */
+var describe = function(jobObj) {
+  var result = _.pick(jobObj, [
+    '_id', 'type', 'status', 'progress', 'progress_message', 'error', 'user',
+    'created', 'started', 'ended', 'owner', 'attempts', 'cancel_requested'
+  ]);
+  result.params = jobObj.params ? JSON.parse(jobObj.params) : null;
+  result.result = jobObj.result ? JSON.parse(jobObj.result) : null;
+  return result;
+};
+
+
+/**
+ * Register a function to run jobs of a given type.
+ *  fn is invoked w/ injectables params and job (see above) in addition to the usual ones.
+ */
+exports.registerJobType = function(type, fn) {
+  jobTypes[type] = fn;
+};
+
+/**
+ * Add a job to the queue
+ * @param typeOrFn registered job type, or function to run
+ * @param params JSON-serializable params for the job
+ * @param options {user}
+ * @return promise resolving to the job id
+ */
+exports.enqueue = function(typeOrFn, params, options) {
+  options = options || {};
+  var user = options.user;
+
+  var jobObj = new JobModel({
+    status:'queued',
+    params:serialize(params),
+    user:user ? {_id:user._id, _disp:user._disp} : null,
+    created:new Date(),
+    attempts:0,
+    progress:0
+  });
+
+  if(typeof typeOrFn === 'function') {
+    jobObj.fn = typeOrFn;
+  }
+  else if(jobTypes[typeOrFn]) {
+    jobObj.type = typeOrFn;
+  }
+  else {
+    return Q.reject(jobError('unknown job type '+typeOrFn, 400));
+  }
+
+  return Q(jobObj.save()).then(function() {
+    if(workerStarted) {
+      setImmediate(poll);
+    }
+    return jobObj._id;
+  });
+};
+
+/**
+ * @return promise resolving to job status, or null if not found
+ */
+exports.getJob = function(id) {
+  return JobModel.findOne({_id:id}).lean().exec().then(function(jobObj) {
+    return jobObj ? describe(jobObj) : null;
+  });
+};
+
+/**
+ * @param options {status, type, userId, limit, skip}
+ * @return promise resolving to job statuses, most recent first
+ */
+exports.listJobs = function(options) {
+  options = options || {};
+
+  var queryObj = {};
+  if(options.status)
+    queryObj.status = options.status;
+  if(options.type)
+    queryObj.type = options.type;
+  if(options.userId)
+    queryObj['user._id'] = options.userId;
+
+  var query = JobModel.find(queryObj, {fn:0}).sort({created:-1, _id:-1});
+  if(options.skip)
+    query.skip(options.skip);
+  if(options.limit)
+    query.limit(options.limit);
+
+  return query.lean().exec().then(function(jobs) {
+    return _.map(jobs, describe);
+  });
+};
+
+/**
+ * Cancel a job: a queued one immediately, a running one once its function notices
+ * @return promise resolving to the job status; rejected w/ status 404 if not found, 409 if already finished
+ */
+exports.cancel = function(id) {
+  var now = new Date();
+  return JobModel.findOneAndUpdate(
+    {_id:id, status:'queued'},
+    {$set:{status:'cancelled', ended:now}},
+    {new:true}
+  ).exec()
+  .then(function(jobObj) {
+    return jobObj || JobModel.findOneAndUpdate(
+      {_id:id, status:'running'},
+      {$set:{cancel_requested:true}},
+      {new:true}
+    ).exec();
+  })
+  .then(function(jobObj) {
+    if(jobObj) {
+      if(activeJobs[id]) {
+        activeJobs[id].cancelled = true;
+      }
+      return describe(jobObj);
+    }
+    return JobModel.findOne({_id:id}).exec().then(function(existing) {
+      if(!existing) {
+        throw jobError('job '+id+' not found', 404);
+      }
+      throw jobError('job '+id+' already '+existing.status, 409);
+    });
+  });
+};
+
+
+/**
+ * Run a claimed job, recording its outcome
+ */
+var runJob = function(jobObj) {
+  var id = ''+jobObj._id;
+  var fn = jobObj.type ? jobTypes[jobObj.type] : jobObj.fn;
+
+  var handle = activeJobs[id] = {
+    id:id,
+    cancelled:!!jobObj.cancel_requested,
+    progress:function(percent, message) {
+      return JobModel.update({_id:id}, {$set:{progress:percent, progress_message:message || null}}).exec();
+    },
+    isCancelled:function() {
+      return handle.cancelled;
+    }
+  };
+
+  var injectables = {
+    params:jobObj.params ? JSON.parse(jobObj.params) : null,
+    job:handle
+  };
+
+  var promise = fn ?
+    invokerTool.invokeAndReturnPromise(fn, injectables, handle) :
+    Q.reject('no function registered for job type '+jobObj.type);
+
+  return promise.then(
+    function(retVal) {
+      return {status:'succeeded', progress:100, result:serialize(retVal)};
+    },
+    function(err) {
+      console.error('Job %s (%s) failed: %s', id, jobObj.type || 'function', (err && err.stack) || err);
+      return {status:(handle.cancelled ? 'cancelled' : 'failed'), error:(err && err.stack) || ''+err};
+    }
+  )
+  .then(function(outcome) {
+    outcome.ended = new Date();
+    return JobModel.update({_id:id, owner:instanceId}, {$set:outcome}).exec();
+  })
+  .then(null, function(err) {
+    console.error('Unable to record outcome of job %s: %s', id, err);
+  })
+  .then(function() {
+    delete activeJobs[id];
+    setImmediate(poll);
+  });
+};
+
+/**
+ * Claim the oldest queued job, if any
+ * @return promise resolving to the claimed job, or null
+ */
+var claimNext = function() {
+  var now = new Date();
+  return JobModel.findOneAndUpdate(
+    {status:'queued'},
+    {$set:{status:'running', owner:instanceId, started:now, heartbeat:now}, $inc:{attempts:1}},
+    {sort:{created:1}, new:true}
+  ).exec();
+};
+
+var polling = false;
+
+/**
+ * Claim and start queued jobs while under the concurrency limit
+ */
+var poll = function() {
+  var concurrency = conf.jobConcurrency || 2;
+
+  if(polling || _.size(activeJobs) >= concurrency) {
+    return;
+  }
+  polling = true;
+
+  var next = function() {
+    if(_.size(activeJobs) >= concurrency) {
+      return null;
+    }
+    return claimNext().then(function(jobObj) {
+      if(jobObj) {
+        runJob(jobObj);
+        return next();
+      }
+    });
+  };
+
+  Q(next()).then(null, function(err) {
+    console.error('Job worker unable to claim jobs: %s', err);
+  })
+  .then(function() {
+    polling = false;
+  });
+};
+
+/**
+ * Heartbeat this instance's running jobs and pick up cancellation requests;
+ *  re-queue jobs whose worker has gone quiet
+ */
+var heartbeat = function() {
+  var now = new Date();
+  var ids = Object.keys(activeJobs);
+
+  var beat = !ids.length ? Q(true) :
+    JobModel.update({_id:{$in:ids}, owner:instanceId}, {$set:{heartbeat:now}}, {multi:true}).exec()
+    .then(function() {
+      return JobModel.find({_id:{$in:ids}, cancel_requested:true}, {_id:1}).lean().exec();
+    })
+    .then(function(cancelled) {
+      _.forEach(cancelled, function(jobObj) {
+        var handle = activeJobs[''+jobObj._id];
+        if(handle)
+          handle.cancelled = true;
+      });
+    });
+
+  var stale = {status:'running', heartbeat:{$lt:new Date(now.getTime()-STALE_AFTER)}};
+
+  return beat.then(function() {
+    return JobModel.update(
+      _.assign({attempts:{$gte:MAX_ATTEMPTS}}, stale),
+      {$set:{status:'failed', error:'worker stopped responding', ended:now}},
+      {multi:true}
+    ).exec();
+  })
+  .then(function() {
+    return JobModel.update(stale, {$set:{status:'queued', owner:null}}, {multi:true}).exec();
+  })
+  .then(null, function(err) {
+    console.error('Job worker heartbeat failed: %s', err);
+  });
+};
+
+
+exports.init = function() {
+  exports.registerJobType('sys.repairRefs', function() {
+    return db._svc.RefService.repair();
+  });
+  exports.registerJobType('sys.applyPackage', function(params, job) {
+    job.progress(0, 'installing');
+    return db._svc.PackagingService.applyPackage(params.id);
+  });
+
+  if(conf.disableJobWorker) {
+    console.log('job worker disabled on this instance');
+    return Q(true);
+  }
+
+  console.log('starting job worker; concurrency %d', conf.jobConcurrency || 2);
+  workerStarted = true;
+  setInterval(poll, POLL_INTERVAL);
+  setInterval(heartbeat, HEARTBEAT_INTERVAL);
+  poll();
+  return Q(true);
+};
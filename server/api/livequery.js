@@ -0,0 +1,317 @@
+/*
+Copyright (C) 2019  Eugene Lockett  gene@noonian.org
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+/**
+ * livequery.js
+ *  Live query protocol for WebSocket connections (see websockets.js); any number of subscriptions per socket.
+ *
+ *  client -> server:
+ *   {type:'subscribe', id:'<client-chosen id>', className:'Foo', where:{...}, select:{...}, sort:{...}, limit:100}
+ *   {type:'unsubscribe', id}
+ *  server -> client:
+ *   {type:'results', id, result:[...]}       initial result set (limit applies only to this)
+ *   {type:'add', id, object}                  object entered the result set
+ *   {type:'change', id, object}               object in the result set was updated
+ *   {type:'remove', id, _id}                  object deleted, or no longer matches/readable
+ *   {type:'error', id, error, problems}
+ *
+ *  Incremental messages come from the change feed (api/changefeed.js).  When DataAccessControls or the
+ *  socket's User change, each subscription's read DACs are re-resolved and its result set re-synced.
+ *  Deleting the User closes their sockets.  limit is capped at MAX_LIMIT.
+ **/
+var _ = require('lodash');
+
+var db = require('./datasource');
+var auth = require('./auth');
+var ChangeFeedService = require('./changefeed');
+
+var DEFAULT_LIMIT = 1000;
+var MAX_LIMIT = 1000;
+
+//Open connections, for re-checking DACs
+var connections = [];
+
+
+var send = function(conn, msg) {
+  if(conn.ws.readyState === 1) { //OPEN
+    conn.ws.send(JSON.stringify(msg));
+  }
+};
+
+var sendError = function(conn, id, err) {
+  var msg = {type:'error', id:id, error:(err && err.message) || ''+err};
+  if(err && err.problems)
+    msg.problems = err.problems;
+  send(conn, msg);
+};
+
+/**
+ * Apply the subscriber's select to an (already DAC-restricted) object
+ **/
+var applySelect = function(select, obj) {
+  if(!select || _.isEmpty(select))
+    return obj;
+  var inclusion = _.some(select, function(v) { return !!v; });
+  return inclusion ?
+    _.pick(obj, function(v, f) { return f === '_id' || !!select[f]; }) :
+    _.omit(obj, function(v, f) { return select[f] !== undefined; });
+};
+
+/**
+ * Resolve read DACs for the connection's user, w/ noonian context applied
+ * @return promise resolving to {dacCond, dacProj, where}
+ **/
+var resolveAccess = function(conn, sub) {
+  var TargetModel = db[sub.className];
+  return auth.aggregateReadDacs(conn.req, TargetModel).then(function(dacObj) {
+    var context = {currentUser:conn.user};
+    var dacCond = dacObj.condition ? _.cloneDeep(dacObj.condition) : null;
+    var where = sub.where ? _.cloneDeep(sub.where) : null;
+    if(dacCond)
+      db._svc.QueryOpService.applyNoonianContext(dacCond, context);
+    if(where)
+      db._svc.QueryOpService.applyNoonianContext(where, context);
+    return {dacCond:dacCond, dacProj:dacObj.fieldRestrictions || null, where:where};
+  });
+};
+
+/**
+ * Run the subscription's query
+ * @return promise resolving to list of plain objects
+ **/
+var runQuery = function(sub, access) {
+  var TargetModel = db[sub.className];
+
+  var conds = _.compact([access.where, access.dacCond]);
+  var queryObj = conds.length > 1 ? {$and:_.cloneDeep(conds)} : _.cloneDeep(conds[0] || {});
+
+  var query = TargetModel.find(queryObj, access.dacProj ? _.clone(access.dacProj) : null);
+  if(sub.sort)
+    query.sort(sub.sort);
+  query.limit(sub.limit || DEFAULT_LIMIT);
+
+  return query.exec().then(function(results) {
+    return _.map(results, function(modelObj) {
+      return applySelect(sub.select, modelObj.toPlainObject());
+    });
+  });
+};
+
+/**
+ * (Re-)subscribe to the change feed using the current access; incremental messages
+ *  are add/change depending on whether the object was already in the client's result set
+ **/
+var attachFeed = function(conn, sub, access) {
+  if(sub.unsubscribe)
+    sub.unsubscribe();
+
+  sub.unsubscribe = ChangeFeedService.subscribe(sub.className, {condition:access.where, dacCond:access.dacCond, dacProj:access.dacProj}, function(event) {
+    var key = ''+event._id;
+    if(event.type === 'delete' || event.type === 'leave') {
+      if(sub.ids[key]) {
+        delete sub.ids[key];
+        send(conn, {type:'remove', id:sub.id, _id:event._id});
+      }
+      return;
+    }
+    var type = sub.ids[key] ? 'change' : 'add';
+    sub.ids[key] = true;
+    send(conn, {type:type, id:sub.id, object:applySelect(sub.select, event.object)});
+  });
+};
+
+
+var subscribe = function(conn, msg) {
+  var id = msg.id;
+  var TargetModel = db[msg.className];
+  if(id === undefined || conn.subs[id]) {
+    return sendError(conn, id, 'subscribe requires an id not already in use');
+  }
+  if(!TargetModel || !TargetModel._bo_meta_data) {
+    return sendError(conn, id, 'invalid class '+msg.className);
+  }
+
+  if(msg.where) {
+    var problems = db._svc.QueryOpService.validateQuery(msg.where, TargetModel._bo_meta_data);
+    if(problems.length) {
+      return sendError(conn, id, {message:'invalid query', problems:problems});
+    }
+  }
+
+  if(msg.sort) {
+    var sortProblems = db._svc.QueryOpService.validateSort(msg.sort, TargetModel._bo_meta_data);
+    if(sortProblems.length) {
+      return sendError(conn, id, {message:'invalid sort', problems:sortProblems});
+    }
+  }
+
+  var sub = conn.subs[id] = {
+    id:id,
+    className:msg.className,
+    where:msg.where || null,
+    select:msg.select || null,
+    sort:msg.sort || null,
+    limit:+msg.limit > 0 ? Math.min(+msg.limit, MAX_LIMIT) : null,
+    ids:{}
+  };
+
+  resolveAccess(conn, sub).then(function(access) {
+    if(conn.subs[id] !== sub)
+      return; //(unsubscribed in the meantime)
+
+    //Attach before querying so changes made during the query aren't missed
+    attachFeed(conn, sub, access);
+    return runQuery(sub, access).then(function(result) {
+      _.forEach(result, function(obj) {
+        sub.ids[''+obj._id] = true;
+      });
+      send(conn, {type:'results', id:id, result:result});
+    });
+  })
+  .then(null, function(err) {
+    unsubscribe(conn, id);
+    sendError(conn, id, err === '$role_check_failure' ? 'not authorized to read '+msg.className : err);
+  });
+};
+
+var unsubscribe = function(conn, id) {
+  var sub = conn.subs[id];
+  if(sub) {
+    if(sub.unsubscribe)
+      sub.unsubscribe();
+    delete conn.subs[id];
+  }
+};
+
+/**
+ * Re-resolve DACs for a subscription and bring the client's result set in line
+ **/
+var resync = function(conn, sub) {
+  return resolveAccess(conn, sub).then(
+    function(access) {
+      attachFeed(conn, sub, access);
+      return runQuery(sub, access).then(function(result) {
+        var newIds = {};
+        _.forEach(result, function(obj) {
+          var key = ''+obj._id;
+          newIds[key] = true;
+          send(conn, {type:(sub.ids[key] ? 'change' : 'add'), id:sub.id, object:obj});
+        });
+        _.forEach(sub.ids, function(v, key) {
+          if(!newIds[key])
+            send(conn, {type:'remove', id:sub.id, _id:key});
+        });
+        sub.ids = newIds;
+      });
+    },
+    function(err) {
+      //Lost read access altogether
+      _.forEach(sub.ids, function(v, key) {
+        send(conn, {type:'remove', id:sub.id, _id:key});
+      });
+      unsubscribe(conn, sub.id);
+      sendError(conn, sub.id, 'not authorized to read '+sub.className);
+    }
+  );
+};
+
+var resyncConnections = function(filterFn) {
+  _.forEach(connections, function(conn) {
+    if(filterFn && !filterFn(conn))
+      return;
+    _.forEach(conn.subs, function(sub) {
+      resync(conn, sub).then(null, function(err) {
+        console.error('livequery: resync failed for %s: %s', sub.className, err);
+      });
+    });
+  });
+  return null;
+};
+
+
+/**
+ * Drop a connection's subscriptions and stop tracking it
+ **/
+var closeConnection = function(conn) {
+  _.forEach(Object.keys(conn.subs), unsubscribe.bind(null, conn));
+  _.pull(connections, conn);
+};
+
+/**
+ * Handle a new WebSocket connection
+ * @param ws the socket
+ * @param user the authenticated User object
+ **/
+exports.handleConnection = function(ws, user) {
+  var conn = {
+    ws:ws,
+    user:user.toPlainObject(),
+    req:{user:{_id:user._id}}, //(stand-in for the http request, for the auth DAC functions)
+    subs:{}
+  };
+  connections.push(conn);
+
+  ws.on('message', function(data) {
+    var msg;
+    try {
+      msg = JSON.parse(data);
+    }
+    catch(err) {
+      return sendError(conn, null, 'invalid message');
+    }
+    if(!msg || typeof msg !== 'object' || Array.isArray(msg)) {
+      return sendError(conn, null, 'invalid message');
+    }
+
+    if(msg.type === 'subscribe')
+      subscribe(conn, msg);
+    else if(msg.type === 'unsubscribe')
+      unsubscribe(conn, msg.id);
+    else
+      sendError(conn, msg.id, 'unknown message type '+msg.type);
+  });
+
+  ws.on('close', closeConnection.bind(null, conn));
+};
+
+
+exports.init = function() {
+  var DataTriggerService = db._svc.DataTriggerService;
+
+  //DataAccessControl changes affect anyone
+  DataTriggerService.registerDataTrigger('sys.internal.liveQueryDacs', '_K5c8nuqSHOof2sQkwfYBQ', 'after', true, true, true, function() {
+    return resyncConnections();
+  });
+
+  //User changes (e.g. roles) affect that user's connections; a deleted user's are closed
+  DataTriggerService.registerDataTrigger('sys.internal.liveQueryUser', db.User._bo_meta_data.bod_id, 'after', false, true, true, function(isDelete) {
+    var userObj = this; //(a plain stub on delete)
+    if(isDelete) {
+      _.forEach(_.filter(connections, function(conn) { return conn.user._id === userObj._id; }), function(conn) {
+        closeConnection(conn);
+        conn.ws.close();
+      });
+      return;
+    }
+    return resyncConnections(function(conn) {
+      if(conn.user._id !== userObj._id)
+        return false;
+      conn.user = userObj.toPlainObject();
+      return true;
+    });
+  });
+};
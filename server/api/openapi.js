@@ -0,0 +1,582 @@
+/*
+Copyright (C) 2019  Eugene Lockett  gene@noonian.org
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+/**
+ * openapi.js
+ *  Generates an OpenAPI 3 document describing the /db, /ws and /export web services:
+ *   - a schema for each BusinessObjectDef class, derived from its type descriptors and FieldTypes
+ *   - /db paths for each class
+ *   - a path for each WebService, w/ its rolespec
+ *   - a path for each DataExport
+ *   - /graphql and /search
+ *  Not described: the operational endpoints (/jobs, /schedule, /admin, /package, /attachment, /config, /auth).
+ *  The document is cached, and regenerated after changes to BusinessObjectDefs, WebServices or DataExports,
+ *  and after a package install.
+ *  The per-user document omits classes the user can't read, fields hidden by their read DACs, WebServices
+ *  failing their rolespec, and sysadmin-only paths (_explain) for non-sysadmins.
+ **/
+var Q = require('q');
+var _ = require('lodash');
+
+var conf = require('../conf');
+var db = require('./datasource');
+var auth = require('./auth');
+var DataTriggerService = require('./datasource/datatrigger');
+
+var WEBSERVICE_BOD_ID = 'CW0euwoXRG-cUFD9-9xwSg';
+var DATAEXPORT_BOD_ID = '1lAUvVINQu-8xKB3H0StaA';
+var PACKAGE_BOD_ID = 'QLN_PHr_Tj6nzgzrHA4XdQ';
+var SYSADMIN_ROLE = 'FnQ_eBYITOSC8kJA4Zul5g';
+
+var cachedDoc = null;
+
+//FieldType name -> schema, for types whose mongo_type alone isn't specific enough
+var schemaByFieldType = {
+  integer:{type:'integer'},
+  float:{type:'number'},
+  datetime:{type:'string', format:'date-time'},
+  date:{type:'string', format:'date'},
+  time:{type:'string'},
+  email:{type:'string', format:'email'},
+  url:{type:'string', format:'uri'},
+  password:{type:'string', format:'password', writeOnly:true},
+  function:{type:'string', description:'function source'}
+};
+
+var schemaByMongoType = {
+  String:{type:'string'},
+  Number:{type:'number'},
+  Boolean:{type:'boolean'},
+  Date:{type:'string', format:'date-time'},
+  Function:{type:'string'},
+  Buffer:{type:'string', format:'byte'}
+};
+
+var schemaRef = function(className) {
+  return {$ref:'#/components/schemas/'+className};
+};
+
+
+/**
+ * Schema for a field w/ type descriptor td
+ **/
+var fieldSchema = function(td) {
+  if(Array.isArray(td)) {
+    return {type:'array', items:td[0] ? fieldSchema(td[0]) : {}};
+  }
+  if(!td || !td.type) {
+    return {};
+  }
+
+  var result;
+  if(td.type === 'reference') {
+    result = {
+      allOf:[{$ref:'#/components/schemas/_Reference'}],
+      'x-ref-class':td.ref_class
+    };
+  }
+  else if(td.type === 'composite') {
+    result = objectSchema(td.type_desc_map || {});
+  }
+  else if(schemaByFieldType[td.type]) {
+    result = _.clone(schemaByFieldType[td.type]);
+  }
+  else {
+    var ft = db._svc.FieldTypeService.getFieldTypeHandler(td);
+    result = _.clone((ft && schemaByMongoType[ft.mongo_type]) || {});
+  }
+
+  result['x-field-type'] = td.type;
+  if(td.enum && Array.isArray(td.enum)) {
+    result.enum = td.enum;
+  }
+  if(td.description) {
+    result.description = ''+td.description;
+  }
+  return result;
+};
+
+var objectSchema = function(typeDescMap) {
+  var properties = {};
+  _.forEach(typeDescMap, function(td, fieldName) {
+    if(fieldName.indexOf('_') !== 0)
+      properties[fieldName] = fieldSchema(td);
+  });
+  return {type:'object', properties:properties};
+};
+
+var classSchema = function(className) {
+  var metaData = db[className]._bo_meta_data;
+  var result = objectSchema(metaData.type_desc_map);
+  result.properties = _.assign({
+    _id:{type:'string', readOnly:true},
+    __ver:{type:'string', readOnly:true, description:'version id; include on update to detect concurrent modification'}
+  }, result.properties);
+  return result;
+};
+
+
+var jsonContent = function(schema) {
+  return {'application/json':{schema:schema}};
+};
+
+var queryParam = function(name, description, schema) {
+  return {name:name, in:'query', required:false, description:description, schema:schema || {type:'string'}};
+};
+
+var headerParam = function(name, description) {
+  return {name:name, in:'header', required:false, description:description, schema:{type:'string'}};
+};
+
+var ERROR_RESPONSE = {description:'error', content:jsonContent({$ref:'#/components/schemas/_Error'})};
+
+var IF_NONE_MATCH = headerParam('If-None-Match', 'ETag(s) of the client\'s copy; 304 if it is current');
+var IF_MATCH = headerParam('If-Match', 'ETag the object must currently have; 412 if it doesn\'t (or the object is missing)');
+var ETAG_HEADER = {ETag:{description:'"<__ver>" (weak when the representation is partial or expanded)', schema:{type:'string'}}};
+var PRECONDITION_FAILED = {description:'If-Match failed', content:jsonContent({type:'object', properties:{
+  error:{type:'string'}, currentVersion:{type:'string', nullable:true}
+}})};
+
+/**
+ * /db paths for className
+ **/
+var dbPaths = function(className) {
+  var tag = [className];
+  var idParam = {name:'id', in:'path', required:true, schema:{type:'string'}};
+  var expandParam = queryParam('expand', 'comma-separated reference fields to expand');
+
+  var singleResponse = {
+    description:'the object',
+    headers:ETAG_HEADER,
+    content:jsonContent({type:'object', properties:{result:schemaRef(className)}})
+  };
+  var reportResponse = function(description) {
+    return {description:description, content:jsonContent({type:'object'})};
+  };
+
+  var result = {};
+  result['/db/'+className] = {
+    get:{
+      tags:tag,
+      summary:'Query '+className,
+      parameters:[
+        queryParam('where', 'JSON query condition'),
+        queryParam('select', 'JSON projection'),
+        queryParam('sort', 'JSON sort specification'),
+        queryParam('limit', null, {type:'integer'}),
+        queryParam('skip', null, {type:'integer'}),
+        queryParam('cursor', '"first", or nextCursor from the previous page'),
+        queryParam('count', '"false" to skip computing nMatched'),
+        expandParam
+      ],
+      responses:{
+        200:{
+          description:'matching objects',
+          content:jsonContent({type:'object', properties:{
+            nMatched:{type:'integer'},
+            nextCursor:{type:'string', nullable:true},
+            result:{type:'array', items:schemaRef(className)}
+          }})
+        },
+        401:ERROR_RESPONSE
+      }
+    },
+    post:{
+      tags:tag,
+      summary:'Create a '+className+' (or with ?where=..., update each matching object)',
+      parameters:[queryParam('where', 'JSON query condition for batch update')],
+      requestBody:{required:true, content:jsonContent(schemaRef(className))},
+      responses:{200:singleResponse, 401:ERROR_RESPONSE}
+    },
+    delete:{
+      tags:tag,
+      summary:'Delete each '+className+' matching ?where=...',
+      parameters:[_.assign(queryParam('where', 'JSON query condition'), {required:true})],
+      responses:{200:{description:'per-record report', content:jsonContent({type:'object'})}, 401:ERROR_RESPONSE}
+    }
+  };
+
+  result['/db/'+className+'/{id}'] = {
+    parameters:[idParam],
+    get:{
+      tags:tag,
+      summary:'Get a '+className,
+      parameters:[queryParam('select', 'JSON projection'), expandParam, IF_NONE_MATCH],
+      responses:{200:singleResponse, 304:{description:'not modified'}, 404:ERROR_RESPONSE, 401:ERROR_RESPONSE}
+    },
+    post:{
+      tags:tag,
+      summary:'Update a '+className,
+      parameters:[IF_MATCH],
+      requestBody:{required:true, content:jsonContent(schemaRef(className))},
+      responses:{200:singleResponse, 401:ERROR_RESPONSE, 412:PRECONDITION_FAILED}
+    },
+    patch:{
+      tags:tag,
+      summary:'Patch a '+className,
+      parameters:[IF_MATCH],
+      requestBody:{required:true, content:{
+        'application/json-patch+json':{schema:{type:'array', items:{type:'object'}}},
+        'application/merge-patch+json':{schema:{type:'object'}}
+      }},
+      responses:{200:singleResponse, 401:ERROR_RESPONSE, 409:ERROR_RESPONSE, 412:PRECONDITION_FAILED, 422:ERROR_RESPONSE}
+    },
+    delete:{
+      tags:tag,
+      summary:'Delete a '+className,
+      parameters:[IF_MATCH],
+      responses:{200:reportResponse('deletion report'), 401:ERROR_RESPONSE, 404:ERROR_RESPONSE, 412:PRECONDITION_FAILED}
+    }
+  };
+
+  result['/db/'+className+'/_changes'] = {
+    get:{
+      tags:tag,
+      summary:'Stream create/update/delete events for '+className+' (Server-Sent Events)',
+      parameters:[queryParam('where', 'JSON query condition')],
+      responses:{200:{description:'event stream', content:{'text/event-stream':{schema:{type:'string'}}}}, 401:ERROR_RESPONSE}
+    }
+  };
+
+  result['/db/'+className+'/_explain'] = {
+    get:{
+      tags:tag,
+      summary:'Explain the query a list of '+className+' would run (sysadmin only)',
+      'x-rolespec':[SYSADMIN_ROLE],
+      parameters:[
+        queryParam('where', 'JSON query condition'),
+        queryParam('sort', 'JSON sort specification'),
+        queryParam('user', 'id of a User to explain the query as')
+      ],
+      responses:{200:reportResponse('final mongo query, index report and plan'), 401:ERROR_RESPONSE}
+    }
+  };
+
+  result['/db/'+className+'/{id}/_history'] = {
+    parameters:[idParam],
+    get:{
+      tags:tag,
+      summary:'Audit trail of a '+className,
+      parameters:[
+        queryParam('since', 'ISO date'),
+        queryParam('until', 'ISO date'),
+        queryParam('limit', null, {type:'integer'}),
+        queryParam('skip', null, {type:'integer'})
+      ],
+      responses:{200:reportResponse('audit entries'), 401:ERROR_RESPONSE, 404:ERROR_RESPONSE}
+    }
+  };
+
+  result['/db/'+className+'/{id}/_asOf'] = {
+    parameters:[idParam],
+    get:{
+      tags:tag,
+      summary:'A '+className+' as it was at a point in time',
+      parameters:[_.assign(queryParam('t', 'ISO date'), {required:true})],
+      responses:{200:{description:'the object as of t', content:jsonContent({type:'object', properties:{
+        result:schemaRef(className), asOf:{type:'string', format:'date-time'}
+      }})}, 401:ERROR_RESPONSE, 404:ERROR_RESPONSE}
+    }
+  };
+
+  result['/db/'+className+'/{id}/_rollback'] = {
+    parameters:[idParam],
+    post:{
+      tags:tag,
+      summary:'Roll a '+className+' back to a prior version',
+      parameters:[IF_MATCH],
+      requestBody:{required:true, content:jsonContent({type:'object', properties:{
+        version:{type:'string'}, timestamp:{type:'string', format:'date-time'}
+      }})},
+      responses:{200:singleResponse, 401:ERROR_RESPONSE, 404:ERROR_RESPONSE, 409:ERROR_RESPONSE, 412:PRECONDITION_FAILED}
+    }
+  };
+
+  if(db[className]._bo_meta_data.type_desc_map._soft_delete) {
+    result['/db/'+className+'/_trash'] = {
+      get:{
+        tags:tag,
+        summary:'List soft-deleted '+className+' objects',
+        parameters:[queryParam('limit', null, {type:'integer'}), queryParam('skip', null, {type:'integer'})],
+        responses:{200:{description:'trashed objects', content:jsonContent({type:'object', properties:{
+          nMatched:{type:'integer'},
+          result:{type:'array', items:schemaRef(className)}
+        }})}, 401:ERROR_RESPONSE}
+      }
+    };
+    result['/db/'+className+'/{id}/_restore'] = {
+      parameters:[idParam],
+      post:{
+        tags:tag,
+        summary:'Restore a '+className+' from the trash',
+        responses:{200:singleResponse, 401:ERROR_RESPONSE, 404:ERROR_RESPONSE}
+      }
+    };
+    result['/db/'+className+'/{id}/_purge'] = {
+      parameters:[idParam],
+      delete:{
+        tags:tag,
+        summary:'Permanently remove a '+className+' from the trash',
+        responses:{200:reportResponse('purge result'), 401:ERROR_RESPONSE, 404:ERROR_RESPONSE}
+      }
+    };
+  }
+
+  result['/db/'+className+'/_aggregate'] = {
+    post:{
+      tags:tag,
+      summary:'Run an aggregation pipeline against '+className,
+      requestBody:{required:true, content:jsonContent({type:'object', properties:{pipeline:{type:'array', items:{type:'object'}}}})},
+      responses:{200:{description:'aggregation result', content:jsonContent({type:'object'})}, 400:ERROR_RESPONSE, 401:ERROR_RESPONSE}
+    }
+  };
+
+  return result;
+};
+
+var webServicePath = function(wsObj) {
+  var op = {
+    tags:['WebService'],
+    summary:wsObj.path,
+    'x-rolespec':wsObj.rolespec || [],
+    responses:{200:{description:'result of the web service function', content:jsonContent({})}, 401:ERROR_RESPONSE}
+  };
+  if(wsObj.doc)
+    op.description = ''+wsObj.doc;
+
+  return {
+    get:_.assign({operationId:'ws_get'+wsObj.path.replace(/\W/g, '_')}, op),
+    post:_.assign({operationId:'ws_post'+wsObj.path.replace(/\W/g, '_'), requestBody:{content:jsonContent({})}}, op)
+  };
+};
+
+var exportPath = function(exportObj) {
+  var content = {};
+  content[exportObj.content_type || 'application/octet-stream'] = {schema:{type:'string', format:'binary'}};
+
+  return {
+    get:{
+      tags:['DataExport'],
+      summary:'Export query results as '+(exportObj.name || exportObj._id),
+      parameters:[
+        {name:'className', in:'path', required:true, schema:{type:'string'}},
+        queryParam('where', 'JSON query condition'),
+        queryParam('select', 'JSON projection'),
+        queryParam('sort', 'JSON sort specification'),
+        queryParam('limit', null, {type:'integer'}),
+        queryParam('skip', null, {type:'integer'})
+      ],
+      responses:{200:{description:'exported data', content:content}, 401:ERROR_RESPONSE, 404:ERROR_RESPONSE}
+    }
+  };
+};
+
+
+/**
+ * Builds the full (unfiltered) document
+ **/
+var buildDocument = function() {
+  var doc = {
+    openapi:'3.0.0',
+    info:{
+      title:conf.instanceName+' API',
+      version:''+(conf.instanceId || '1')
+    },
+    servers:[{url:conf.urlBase || '/'}],
+    paths:{},
+    components:{
+      schemas:{
+        _Reference:{
+          type:'object',
+          properties:{_id:{type:'string'}, _disp:{type:'string'}}
+        },
+        _Error:{
+          type:'object',
+          properties:{error:{type:'string'}}
+        }
+      },
+      securitySchemes:{
+        bearerAuth:{type:'http', scheme:'bearer', bearerFormat:'JWT'},
+        cookieAuth:{type:'apiKey', in:'cookie', name:'access_token'}
+      }
+    },
+    security:[{bearerAuth:[]}, {cookieAuth:[]}]
+  };
+
+  var classNames = db.getClassNames().sort();
+  _.forEach(classNames, function(className) {
+    doc.components.schemas[className] = classSchema(className);
+    _.assign(doc.paths, dbPaths(className));
+  });
+
+  doc.paths['/db/_batch'] = {
+    post:{
+      tags:['db'],
+      summary:'Apply create/update/delete operations across classes as a unit',
+      requestBody:{required:true, content:jsonContent({type:'object', properties:{operations:{type:'array', items:{type:'object'}}}})},
+      responses:{200:{description:'operation results', content:jsonContent({type:'object'})}, 400:ERROR_RESPONSE, 401:ERROR_RESPONSE}
+    }
+  };
+
+  doc.paths['/graphql'] = {
+    get:{
+      tags:['graphql'],
+      summary:'Run a GraphQL query (schema generated from the BusinessObjectDefs)',
+      parameters:[
+        _.assign(queryParam('query', 'GraphQL query'), {required:true}),
+        queryParam('variables', 'JSON variables'),
+        queryParam('operationName')
+      ],
+      responses:{200:{description:'GraphQL result', content:jsonContent({type:'object'})}, 400:ERROR_RESPONSE}
+    },
+    post:{
+      tags:['graphql'],
+      summary:'Run a GraphQL query (schema generated from the BusinessObjectDefs)',
+      requestBody:{required:true, content:jsonContent({type:'object', properties:{
+        query:{type:'string'}, variables:{type:'object'}, operationName:{type:'string'}
+      }})},
+      responses:{200:{description:'GraphQL result', content:jsonContent({type:'object'})}, 400:ERROR_RESPONSE}
+    }
+  };
+
+  doc.paths['/search'] = {
+    get:{
+      tags:['search'],
+      summary:'Ranked full-text search across classes w/ _fulltext_matches',
+      parameters:[
+        _.assign(queryParam('q', 'search string: words, "quoted phrases", -negated words'), {required:true}),
+        queryParam('classes', 'comma-separated class names'),
+        queryParam('limit', null, {type:'integer'}),
+        queryParam('skip', null, {type:'integer'})
+      ],
+      responses:{200:{description:'search results', content:jsonContent({type:'object'})}, 400:ERROR_RESPONSE, 401:ERROR_RESPONSE}
+    }
+  };
+
+  return Q.all([
+    db.WebService.find({}, {path:1, rolespec:1, doc:1}).exec(),
+    db.DataExport.find({}, {name:1, content_type:1}).exec()
+  ])
+  .then(function(resultArr) {
+    _.forEach(_.sortBy(resultArr[0], 'path'), function(wsObj) {
+      if(wsObj.path)
+        doc.paths['/ws'+wsObj.path] = webServicePath(wsObj);
+    });
+    _.forEach(resultArr[1], function(exportObj) {
+      doc.paths['/export/'+exportObj._id+'/{className}'] = exportPath(exportObj);
+    });
+    return doc;
+  });
+};
+
+
+/**
+ * Remove a (possibly dotted) restricted field from an object schema
+ **/
+var removeField = function(schema, path) {
+  var dotPos = path.indexOf('.');
+  if(!schema || !schema.properties)
+    return;
+  if(dotPos === -1) {
+    delete schema.properties[path];
+    return;
+  }
+  var sub = schema.properties[path.substring(0, dotPos)];
+  removeField(sub && sub.type === 'array' ? sub.items : sub, path.substring(dotPos+1));
+};
+
+/**
+ * Drop the parts of doc the user making req can't reach: classes w/o read access, fields hidden by read DACs,
+ *  WebServices and other paths failing their rolespec
+ **/
+var filterForUser = function(req, doc) {
+  return auth.getCurrentUser(req).then(function(userObj) {
+    var result = _.clone(doc);
+    result.paths = _.clone(doc.paths);
+    result.components = _.assign({}, doc.components, {schemas:_.clone(doc.components.schemas)});
+
+    //WebServices, sysadmin-only paths:
+    _.forEach(doc.paths, function(pathObj, path) {
+      var rolespec = _.find(_.pluck(_.values(pathObj), 'x-rolespec'));
+      if(rolespec && !auth.checkRolesForUser(userObj, rolespec))
+        delete result.paths[path];
+    });
+
+    //Classes:
+    var classChecks = _.map(db.getClassNames(), function(className) {
+      return auth.aggregateReadDacs(req, db[className]).then(
+        function(dacObj) { return {className:className, fieldRestrictions:dacObj.fieldRestrictions}; },
+        function() { return {className:className, unreadable:true}; }
+      );
+    });
+
+    return Q.all(classChecks).then(function(checks) {
+      _.forEach(checks, function(check) {
+        var className = check.className;
+        if(check.unreadable) {
+          delete result.components.schemas[className];
+          var prefix = '/db/'+className;
+          _.forEach(Object.keys(result.paths), function(path) {
+            if(path === prefix || path.indexOf(prefix+'/') === 0)
+              delete result.paths[path];
+          });
+        }
+        else if(!_.isEmpty(check.fieldRestrictions) && result.components.schemas[className]) {
+          var schema = _.cloneDeep(result.components.schemas[className]);
+          _.forEach(check.fieldRestrictions, function(v, f) {
+            if(v == 0)
+              removeField(schema, f);
+          });
+          result.components.schemas[className] = schema;
+        }
+      });
+      return result;
+    });
+  });
+};
+
+
+/**
+ * @param req the request
+ * @param forUser true to restrict the document to what the requesting user can reach
+ * @return promise resolving to the document
+ **/
+exports.getDocument = function(req, forUser) {
+  if(!cachedDoc) {
+    console.log('Generating OpenAPI document');
+    cachedDoc = buildDocument();
+    cachedDoc.then(null, function() {
+      cachedDoc = null;
+    });
+  }
+
+  return cachedDoc.then(function(doc) {
+    return forUser ? filterForUser(req, doc) : doc;
+  });
+};
+
+var invalidate = function() {
+  cachedDoc = null;
+};
+
+exports.init = function() {
+  db.onModelUpdate(invalidate);
+  DataTriggerService.registerDataTrigger('sys.internal.openapiWebService', WEBSERVICE_BOD_ID, 'after', true, true, true, invalidate);
+  DataTriggerService.registerDataTrigger('sys.internal.openapiDataExport', DATAEXPORT_BOD_ID, 'after', true, true, true, invalidate);
+  //(a package install imports WebServices, DataExports etc. w/out triggers, then saves its BusinessObjectPackage)
+  DataTriggerService.registerDataTrigger('sys.internal.openapiPackage', PACKAGE_BOD_ID, 'after', true, true, true, invalidate);
+};
@@ -23,51 +23,380 @@ var _ = require('lodash');
 var Q = require('q');
 
 var scheduler = require('node-schedule');
+var cronParser = require('cron-parser');
 
 var db = require('./datasource');
 var DataTriggerService = require('./datasource/datatrigger');
 var invokerTool = require('../tools/invoker');
 
+var mongoose = require('mongoose');
+
+var LockService = db._svc.LockService;
+
+var ScheduleRunSchema = new mongoose.Schema({
+    trigger_id: String,
+    trigger_key: String,
+    fired: Date,             //scheduled time of the firing (null for a manual run)
+    manual: Boolean,
+    catch_up: Boolean,       //run for a firing missed while no instance was up
+    user: mongoose.Schema.Types.Mixed,   //{_id, _disp} for a manual run
+    attempt: Number,         //1 for the initial attempt, 2+ for retries
+    instance: String,
+    started: Date,
+    ended: Date,
+    duration: Number,        //ms
+    outcome: String,         //success, error, timeout
+    error: String,
+    result: String           //JSON-serialized return value
+  },
+  {collection:'noonian.schedule_runs'}
+);
+ScheduleRunSchema.index({trigger_id:1, started:-1});
+ScheduleRunSchema.index({started:1}, {expireAfterSeconds:30*24*60*60});
+
+var ScheduleRunModel = mongoose.model('ScheduleRun', ScheduleRunSchema);
+
 var scheduledJobs = {};
 
-var executeScheduleTrigger = function() {
-    if(this.running) {
-        console.log('Skipping execution of ScheduleTrigger %s (still running from previous execution)', this._id);
+//ScheduleTrigger id's currently executing in this instance
+var runningTriggers = {};
+
+//Claim on an individual firing; only needs to outlive clock differences between instances
+var FIRING_CLAIM_TTL = 10*60*1000;
+
+//Lease held while a ScheduleTrigger's function runs; renewed every third of its duration
+var RUN_LEASE_TTL = 60*1000;
+
+//Most missed firings run by the 'all' catch-up policy
+var MAX_CATCH_UP = 100;
+
+
+/**
+ * Record the instance executing a ScheduleTrigger (null when done) w/out bumping its version or triggering DataTriggers
+ */
+var recordExecution = function(stId, instanceId, finished) {
+    return db.ScheduleTrigger.findOne({_id:stId}).exec().then(function(current) {
+        if(!current) return;
+        current.executing_instance = instanceId;
+        if(finished) {
+            current.last_execution = finished;
+        }
+        return current.save({useVersionId:current.__ver, skipTriggers:true, skipValidation:true}, null);
+    })
+    .then(null, function(err) {
+        console.error('Unable to record execution state of ScheduleTrigger %s: %s', stId, err);
+    });
+};
+
+var serializeResult = function(retVal) {
+    if(retVal === undefined) {
+        return null;
+    }
+    try {
+        return JSON.stringify(retVal);
     }
-    this.running = true;
+    catch(err) {
+        return JSON.stringify(''+retVal);
+    }
+};
+
+/**
+ * Invoke the trigger's function once, subject to its timeout, and record the run.
+ *  (a timed-out function can't be stopped; it's just no longer waited upon)
+ * @return promise resolving to the saved run record
+ */
+var runAttempt = function(st, runInfo, attempt) {
+    var run = new ScheduleRunModel(_.assign({
+        trigger_id:st._id,
+        trigger_key:st.key,
+        attempt:attempt,
+        instance:LockService.instanceId,
+        started:new Date()
+    }, runInfo));
     
-    var st = this;
-    var fn = this.function;
+    var promise = invokerTool.invokeAndReturnPromise(st.function, {}, st);
+    if(st.timeout > 0) {
+        promise = promise.timeout(st.timeout*1000, '$schedule_timeout');
+    }
     
-    invokerTool.invokeAndReturnPromise(fn, {}, this).then(
-        function() {
-            delete st.running;
-            st.last_execution = new Date();
-            st.save({skipTriggers:true}, null);
+    return promise.then(
+        function(retVal) {
+            run.outcome = 'success';
+            run.result = serializeResult(retVal);
         },
         function(err) {
-            console.error('Error executing ScheduleTrigger %s: %s', st._id, err.stack);
-            delete st.running;
+            if(err && err.message === '$schedule_timeout') {
+                run.outcome = 'timeout';
+                run.error = 'Timed out after '+st.timeout+'s';
+            }
+            else {
+                run.outcome = 'error';
+                run.error = (err && err.stack) || ''+err;
+            }
+            console.error('Error executing ScheduleTrigger %s (attempt %d): %s', st._id, attempt, run.error);
         }
-    );
+    )
+    .then(function() {
+        run.ended = new Date();
+        run.duration = run.ended.getTime() - run.started.getTime();
+        return run.save().then(null, function(err) {
+            console.error('Unable to record run of ScheduleTrigger %s: %s', st._id, err);
+        })
+        .then(function() {
+            return run;
+        });
+    });
 };
 
+/**
+ * Run the trigger's function, retrying failures up to max_retries times;
+ *  the delay before each retry starts at retry_backoff seconds and doubles each time.
+ * @return promise resolving to the run record of the last attempt
+ */
+var runWithRetries = function(st, runInfo) {
+    var maxRetries = st.max_retries > 0 ? st.max_retries : 0;
+    var backoff = st.retry_backoff > 0 ? st.retry_backoff*1000 : 0;
+    
+    var attempt = function(n) {
+        return runAttempt(st, runInfo, n).then(function(run) {
+            if(run.outcome === 'success' || n > maxRetries) {
+                return run;
+            }
+            return Q.delay(backoff*Math.pow(2, n-1)).then(function() {
+                return attempt(n+1);
+            });
+        });
+    };
+    
+    return attempt(1);
+};
 
-var scheduleTrigger = function(st) {
-    if(!st.function) {
-        console.error('Skipping loading scheduleTrigger %s (invalid function)', st._id);
-        return;
+/**
+ * Execute a ScheduleTrigger under its cluster-wide run lease.
+ * @return promise resolving to the run record of the last attempt, or null if it's already running somewhere
+ */
+var execute = function(st, runInfo) {
+    var leaseKey = 'ScheduleTrigger:'+st._id;
+    var renewer;
+    
+    if(runningTriggers[st._id]) {
+        console.log('Skipping execution of ScheduleTrigger %s (still running from previous execution)', st._id);
+        return Q(null);
+    }
+    runningTriggers[st._id] = true;
+    
+    var done = function() {
+        clearInterval(renewer);
+        delete runningTriggers[st._id];
+    };
+    
+    return LockService.acquire(leaseKey, RUN_LEASE_TTL).then(function(leased) {
+        if(!leased) {
+            console.log('Skipping execution of ScheduleTrigger %s (still running on another instance)', st._id);
+            done();
+            return null;
+        }
+        
+        renewer = setInterval(function() {
+            LockService.renew(leaseKey, RUN_LEASE_TTL);
+        }, RUN_LEASE_TTL/3);
+        
+        return recordExecution(st._id, LockService.instanceId)
+        .then(function() {
+            return runWithRetries(st, runInfo);
+        })
+        .then(function(run) {
+            var finished = run.outcome === 'success' ? run.ended : null;
+            return recordExecution(st._id, null, finished)
+            .then(function() {
+                done();
+                return LockService.release(leaseKey);
+            })
+            .then(function() {
+                return run;
+            });
+        });
+    })
+    .then(null, function(err) {
+        done();
+        throw err;
+    });
+};
+
+/**
+ * Execute a firing; runs on exactly one instance per firing:
+ *  the first instance to claim the firing (keyed on its scheduled time) runs it,
+ *  provided no instance still holds the run lease from a previous firing.
+ * @return promise, resolved once the firing is done (or claimed elsewhere)
+ */
+var fire = function(st, fireDate, catchUp) {
+    var firingKey = 'ScheduleTrigger:'+st._id+':'+fireDate.getTime();
+    
+    return LockService.acquire(firingKey, FIRING_CLAIM_TTL)
+    .then(function(claimed) {
+        if(claimed) { //(otherwise, another instance has this firing)
+            return execute(st, {fired:fireDate, manual:false, catch_up:catchUp});
+        }
+    })
+    .then(null, function(err) {
+        console.error('Error coordinating execution of ScheduleTrigger %s: %s', st._id, err);
+    });
+};
+
+/**
+ * Job function
+ *  @this ScheduleTrigger
+ */
+var executeScheduleTrigger = function(fireDate) {
+    fire(this, fireDate || new Date(), false);
+};
+
+/**
+ * Run a ScheduleTrigger immediately, outside of its schedule (honoring its timeout and retry policy)
+ * @param stId ScheduleTrigger id
+ * @param user the User requesting the run
+ * @return promise resolving to the run record of the last attempt;
+ *  rejected w/ status 404 if there is no such trigger, 409 if it's currently running
+ */
+exports.runNow = function(stId, user) {
+    return db.ScheduleTrigger.findOne({_id:stId}).exec().then(function(st) {
+        if(!st || !st.function) {
+            var notFound = new Error('ScheduleTrigger '+stId+' not found');
+            notFound.status = 404;
+            throw notFound;
+        }
+        return execute(st, {manual:true, user:user ? {_id:user._id, _disp:user._disp} : null});
+    })
+    .then(function(run) {
+        if(!run) {
+            var conflict = new Error('ScheduleTrigger '+stId+' is already running');
+            conflict.status = 409;
+            throw conflict;
+        }
+        return run;
+    });
+};
+
+/**
+ * @param options {since, until, outcome, limit, skip}
+ * @return promise resolving to run records for a ScheduleTrigger, most recent first
+ */
+exports.getRuns = function(stId, options) {
+    options = options || {};
+    
+    var queryObj = {trigger_id:stId};
+    if(options.since || options.until) {
+        queryObj.started = {};
+        if(options.since)
+            queryObj.started.$gte = options.since;
+        if(options.until)
+            queryObj.started.$lte = options.until;
     }
+    if(options.outcome) {
+        queryObj.outcome = options.outcome;
+    }
+    
+    var query = ScheduleRunModel.find(queryObj).sort({started:-1, _id:-1});
+    if(options.skip)
+        query.skip(options.skip);
+    if(options.limit)
+        query.limit(options.limit);
     
+    return query.lean().exec().then(function(runs) {
+        return _.map(runs, function(run) {
+            run.result = run.result ? JSON.parse(run.result) : null;
+            delete run.__v;
+            return run;
+        });
+    });
+};
+
+
+var cronString = function(st) {
     var s = st.schedule;
-    var schedStr =  s.second+' '+
+    return s.second+' '+
           s.minute+' '+
           s.hour+' '+
           s.day_of_month+' '+
           s.month+' '+
           s.day_of_week;
-          
-    scheduledJobs[st._id] = scheduler.scheduleJob(schedStr, executeScheduleTrigger.bind(st));
+};
+
+var scheduleTrigger = function(st) {
+    if(!st.function) {
+        console.error('Skipping loading scheduleTrigger %s (invalid function)', st._id);
+        return;
+    }
+    
+    var schedStr = cronString(st);
+    var rule = st.time_zone ? {rule:schedStr, tz:st.time_zone} : schedStr;
+    
+    scheduledJobs[st._id] = scheduler.scheduleJob(rule, executeScheduleTrigger.bind(st));
+    if(!scheduledJobs[st._id]) {
+        console.error('Invalid schedule or time zone for ScheduleTrigger %s: %s %s', st._id, schedStr, st.time_zone || '');
+    }
+};
+
+/**
+ * Firings of a ScheduleTrigger between two dates (exclusive of from)
+ */
+var getFireDates = function(st, from, to) {
+    var result = [];
+    var interval = cronParser.parseExpression(cronString(st), {
+        currentDate:from,
+        endDate:to,
+        tz:st.time_zone || undefined
+    });
+    while(interval.hasNext()) {
+        result.push(interval.next().toDate());
+    }
+    return result;
+};
+
+/**
+ * Run firings missed while no instance was up, according to the trigger's catch_up policy:
+ *  skip (default) - none, once - just the most recent, all - each in order (up to MAX_CATCH_UP)
+ *  Missed firings are those scheduled after the later of last_execution and the last recorded run.
+ */
+var catchUp = function(st) {
+    var policy = st.catch_up || 'skip';
+    if(policy === 'skip' || !st.function) {
+        return Q(true);
+    }
+    
+    return ScheduleRunModel.findOne({trigger_id:st._id}).sort({started:-1}).lean().exec()
+    .then(function(lastRun) {
+        var lastTimes = _.compact([
+            st.last_execution && st.last_execution.getTime(),
+            lastRun && (lastRun.fired || lastRun.started).getTime()
+        ]);
+        if(!lastTimes.length) {
+            return; //never run; nothing to catch up on
+        }
+        
+        var missed = getFireDates(st, new Date(_.max(lastTimes)), new Date());
+        if(!missed.length) {
+            return;
+        }
+        
+        if(policy === 'once') {
+            missed = [_.last(missed)];
+        }
+        else if(missed.length > MAX_CATCH_UP) {
+            console.log('ScheduleTrigger %s missed %d firings; catching up on the last %d', st._id, missed.length, MAX_CATCH_UP);
+            missed = _.takeRight(missed, MAX_CATCH_UP);
+        }
+        
+        console.log('Catching up on %d missed firing(s) of ScheduleTrigger %s', missed.length, st._id);
+        return _.reduce(missed, function(promise, fireDate) {
+            return promise.then(function() {
+                return fire(st, fireDate, true);
+            });
+        }, Q(true));
+    })
+    .then(null, function(err) {
+        console.error('Unable to catch up on missed firings of ScheduleTrigger %s: %s', st._id, err);
+    });
 };
 
 exports.init = function(conf) {
@@ -101,6 +430,7 @@ exports.init = function(conf) {
     return db.ScheduleTrigger.find({enabled:true}).then(function(resultArr) {
         _.forEach(resultArr, function(st) {
             scheduleTrigger(st);
+            catchUp(st); //(in the background)
         });
     }); 
 };
@@ -0,0 +1,223 @@
+/*
+Copyright (C) 2019  Eugene Lockett  gene@noonian.org
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+/**
+ * search.js
+ *  Full-text search across classes, using the noonian_fulltext text index on __match_text
+ *  that classes w/ _fulltext_matches get (see datasource/indexes.js).
+ *
+ *  Each class is queried w/ the requesting user's read DACs applied; classes they can't read are skipped.
+ *  Results from all classes are merged by mongo's text score.  Highlights come from re-rendering the
+ *  _fulltext_matches templates against the object as the user may see it, so restricted fields don't show.
+ **/
+var Q = require('q');
+var _ = require('lodash');
+
+var db = require('./datasource');
+var auth = require('./auth');
+
+var DEFAULT_LIMIT = 20;
+var MAX_LIMIT = 200;
+var MAX_SKIP = 1000; //(each class is queried for skip+limit results, so deep pages are bounded)
+var SNIPPET_CONTEXT = 40; //chars on either side of a match
+
+
+var searchError = function(message, status) {
+  var err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+/**
+ * Classes that can be searched: those w/ _fulltext_matches, excluding superclasses (their subclasses are searched)
+ **/
+var getSearchableClasses =
+exports.getSearchableClasses = function() {
+  return _.filter(db.getClassNames(), function(className) {
+    var Model = db[className];
+    return Model._bo_meta_data.type_desc_map._fulltext_matches && _.isEmpty(Model.discriminators);
+  });
+};
+
+/**
+ * Expand requested class names: a superclass stands for its searchable subclasses
+ **/
+var resolveClasses = function(classNames) {
+  var searchable = getSearchableClasses();
+  if(!classNames || !classNames.length)
+    return searchable;
+
+  return _.uniq(_.flatten(_.map(classNames, function(className) {
+    var Model = db[className];
+    if(!Model)
+      throw searchError('invalid class '+className, 400);
+
+    var subclasses = _.intersection(Object.keys(Model.discriminators || {}), searchable);
+    if(_.contains(searchable, className))
+      return [className];
+    if(subclasses.length)
+      return subclasses;
+    throw searchError(className+' is not searchable (no _fulltext_matches)', 400);
+  })));
+};
+
+/**
+ * Words of a $text search string (quotes and negated terms dropped)
+ **/
+var searchWords = function(searchString) {
+  return _.filter(searchString.replace(/"/g, ' ').split(/\s+/), function(w) {
+    return w && w.indexOf('-') !== 0;
+  });
+};
+
+/**
+ * Snippets of text around matches of the search words.
+ *  A word matches as a prefix, to roughly follow mongo's stemming (e.g. "run" highlights "running")
+ * @return [{snippet, matches:[{start, end}]}] (offsets w/in snippet)
+ **/
+var getHighlights =
+exports.getHighlights = function(texts, searchString) {
+  var words = searchWords(searchString);
+  if(!words.length)
+    return [];
+
+  var pattern = '\\b(?:'+_.map(words, _.escapeRegExp).join('|')+')\\w*';
+
+  var result = [];
+  _.forEach(texts, function(text) {
+    if(typeof text !== 'string')
+      return;
+
+    var re = new RegExp(pattern, 'gi');
+    var hits = [];
+    var m;
+    while((m = re.exec(text)) !== null) {
+      hits.push({start:m.index, end:m.index+m[0].length});
+    }
+    if(!hits.length)
+      return;
+
+    var from = Math.max(0, hits[0].start - SNIPPET_CONTEXT);
+    var to = Math.min(text.length, _.last(hits).end + SNIPPET_CONTEXT);
+    result.push({
+      snippet:(from > 0 ? '...' : '')+text.substring(from, to)+(to < text.length ? '...' : ''),
+      matches:_.map(hits, function(h) {
+        var offset = from > 0 ? 3 - from : 0;
+        return {start:h.start+offset, end:h.end+offset};
+      })
+    });
+  });
+  return result;
+};
+
+/**
+ * Search a single class
+ * @return promise resolving to [{class_name, _id, _disp, score, highlights}], or null if the user can't read the class
+ **/
+var searchClass = function(req, currUser, className, searchString, max) {
+  var TargetModel = db[className];
+
+  return auth.aggregateReadDacs(req, TargetModel).then(
+    function(dacObj) {
+      var queryObj = {$text:{$search:searchString}};
+      if(dacObj.condition)
+        queryObj = {$and:[queryObj, _.cloneDeep(dacObj.condition)]};
+      queryObj.$useContext = {currentUser:currUser};
+
+      var projection = _.assign({__match_text:0}, dacObj.fieldRestrictions, {score:{$meta:'textScore'}});
+
+      return TargetModel.find(queryObj, projection)
+        .sort({score:{$meta:'textScore'}})
+        .limit(max)
+        .exec()
+        .then(function(objList) {
+          return _.map(objList, function(obj) {
+            return {
+              class_name:className,
+              _id:obj._id,
+              _disp:obj._disp,
+              score:obj.get('score'),
+              highlights:getHighlights(obj._match_text, searchString)
+            };
+          });
+        });
+    },
+    function(err) {
+      if(err === '$role_check_failure')
+        return null;
+      throw err;
+    }
+  );
+};
+
+/**
+ * Search across classes
+ * @param req the request, for the current user's read DACs
+ * @param searchString mongo $text search string: words, "quoted phrases", -negated words
+ * @param options {classes:[className], limit, skip} (skip is clamped to MAX_SKIP)
+ * @return promise resolving to {results:[{class_name, _id, _disp, score, highlights}], classes:[searched], errors:{className:message}}
+ **/
+exports.search = function(req, searchString, options) {
+  options = options || {};
+
+  if(!searchString || !searchString.trim())
+    return Q.reject(searchError('search string required', 400));
+
+  var isCount = function(n) {
+    return n === undefined || (typeof n === 'number' && n >= 0 && n % 1 === 0);
+  };
+  if(!isCount(options.limit) || !isCount(options.skip))
+    return Q.reject(searchError('limit and skip must be non-negative integers', 400));
+
+  var limit = Math.min(options.limit || DEFAULT_LIMIT, MAX_LIMIT);
+  var skip = Math.min(options.skip || 0, MAX_SKIP);
+
+  var classNames;
+  try {
+    classNames = resolveClasses(options.classes);
+  }
+  catch(err) {
+    return Q.reject(err);
+  }
+
+  return auth.getCurrentUser(req).then(function(user) {
+    var currUser = user.toPlainObject();
+    var errors = {};
+
+    return Q.all(_.map(classNames, function(className) {
+      return searchClass(req, currUser, className, searchString, skip+limit).then(null, function(err) {
+        //e.g. text index not yet built
+        console.error('Search of %s failed: %s', className, err);
+        errors[className] = (err && err.message) || ''+err;
+        return null;
+      });
+    }))
+    .then(function(resultLists) {
+      //(unreadable and failed classes are null)
+      var searched = _.filter(classNames, function(className, i) {
+        return resultLists[i] !== null;
+      });
+      var merged = _.sortByOrder(_.flatten(_.compact(resultLists)), ['score'], ['desc']);
+
+      return {
+        results:merged.slice(skip, skip+limit),
+        classes:searched,
+        errors:errors
+      };
+    });
+  });
+};
@@ -24,7 +24,7 @@ module.exports = function(app) {
 
   app.use(/.*_raw_postbody.*/, bodyParser.text({type: '*/x-www-form-urlencoded'})); 
   app.use(bodyParser.urlencoded({ extended: false }));
-  app.use(bodyParser.json({limit:'10mb'}));
+  app.use(bodyParser.json({limit:'10mb', type:['application/json', 'application/*+json']})); //(includes json-patch+json, merge-patch+json)
 
   app.use(methodOverride());
   app.use(cookieParser());
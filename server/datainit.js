@@ -85,7 +85,7 @@ db.init(conf)
                             objStream.pause();
                             
                             bo.__disp = bo._disp;
-                            currentPromise = bo.save({useVersionId:bo.__ver, skipTriggers:true}, null).then(function() {
+                            currentPromise = bo.save({useVersionId:bo.__ver, skipTriggers:true, skipValidation:true}, null).then(function() {
                                 objStream.resume();
                             });                            
                             
@@ -58,7 +58,14 @@ module.exports = function(app) {
     require('./ws/attachment').init(app);
     require('./ws/export').init(app);
     require('./ws/package').init(app);
+    require('./ws/schedule').init(app);
+    require('./ws/graphql').init(app);
+    require('./ws/openapi').init(app);
     // require('./ws/admin').init(app);
+    require('./ws/admin').initJobs(app);
+    require('./ws/admin').initIndexes(app);
+    require('./ws/jobs').init(app);
+    require('./ws/search').init(app);
     
     authWs.init(app);
 
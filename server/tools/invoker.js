@@ -38,6 +38,7 @@ var globalInjections = {
     auth:require('../api/auth'),
     i18n:require('../api/i18n'),
     invoker:exports,
+    jobs:require('../api/jobs'),
     nodeRequire:nodeRequire,
     httpRequestLib:require('request')
     // https:require('https')
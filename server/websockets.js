@@ -1,5 +1,7 @@
 /** 
   Web sockets "switchboard"
+   connections to <urlBase>/livequery speak the built-in live query protocol (api/livequery.js);
+   others are dispatched to the WebSocketServer business object matching the path.
   @param server object returned from http.createServer(...)
 */
 
@@ -8,13 +10,37 @@ const _ = require('lodash');
 const url = require('url');
 const WebSocket = require('ws');
 
+const conf = require('./conf');
 const db = require('./api/datasource');
 const datatrigger = db._svc.DataTriggerService;
 const auth = require('./api/auth');
+const authWs = require('./ws/auth');
+const LiveQueryService = require('./api/livequery');
 const invokerTool = require('./tools/invoker.js');
 
+//Built-in live query protocol; see api/livequery.js
+const LIVE_QUERY_PATH = conf.urlBase+'/livequery';
 
-var websocketBosByPath;
+
+var websocketBosByPath = {};
+
+/**
+ * Live query connections authenticate w/ the same JWT (access_token cookie) as the rest of the app
+ */
+var onLiveQueryConnection = function(ws, req) {
+    var tokenUser = authWs.verifyRequestToken(req);
+    if(!tokenUser || !tokenUser._id) {
+        ws.close(4401, 'unauthorized');
+        return;
+    }
+    
+    auth.getCurrentUser({user:tokenUser}).then(function(user) {
+        if(!user) {
+            return ws.close(4401, 'unauthorized');
+        }
+        LiveQueryService.handleConnection(ws, user);
+    });
+};
 
 var onWebSocketConnection = function(ws, req) {
     
@@ -25,6 +51,10 @@ var onWebSocketConnection = function(ws, req) {
     var path = location.pathname;
     var queryParams = location.query;
     
+    if(path === LIVE_QUERY_PATH) {
+        return onLiveQueryConnection(ws, req);
+    }
+    
     var wsObj = websocketBosByPath[path];
     if(!wsObj) {
         ws.terminate();
@@ -70,13 +100,7 @@ var onWebSocketConnection = function(ws, req) {
 
 }
 
-module.exports = function(server) {
-    
-    if(!db.WebSocketServer) {
-        console.error('Missing WebSocket Business Object class; upgrade system to use websockets');
-        return;
-    }
-    
+var watchWebSocketServers = function() {
     db.WebSocketServer.find({}).then(function(wsBos) {
         websocketBosByPath = _.indexBy(wsBos, 'path');
     });
@@ -96,6 +120,18 @@ module.exports = function(server) {
         
         return null;
     });
+};
+
+module.exports = function(server) {
+    
+    if(db.WebSocketServer) {
+        watchWebSocketServers();
+    }
+    else {
+        console.error('Missing WebSocket Business Object class; upgrade system to use WebSocketServer objects');
+    }
+    
+    LiveQueryService.init();
         
     //Set up the server
     var wss = new WebSocket.Server({server});
@@ -8,12 +8,15 @@ var wsUtil = require('./util');
 
 var db = require('../api/datasource');
 var auth = require('../api/auth');
+var JobService = require('../api/jobs');
 
 var controller = {};
 
 
 var wsRoot = conf.urlBase+'/admin';
 
+var SYSADMIN_ROLE = 'FnQ_eBYITOSC8kJA4Zul5g';
+
 /**
  * init()
 **/
@@ -21,12 +24,111 @@ exports.init = function(app) {
   var router = express.Router();
 
   router.get('/performRepair', wsUtil.wrap(controller.performRepair));
+  router.get('/indexes', wsUtil.wrap(controller.getIndexStatus));
+  router.post('/indexes/sync', wsUtil.wrap(controller.syncIndexes));
 
   app.use(wsRoot, router);
 }
 
+/**
+ * initJobs()
+ *  mounts only the job-backed endpoints (the full admin router stays unmounted; see routes.js)
+**/
+exports.initJobs = function(app) {
+  var router = express.Router();
+
+  router.get('/performRepair', wsUtil.wrap(controller.performRepair));
 
+  app.use(wsRoot, router);
+};
+
+/**
+ * initIndexes()
+ *  mounts only the index status/sync endpoints
+**/
+exports.initIndexes = function(app) {
+  var router = express.Router();
+
+  router.get('/indexes', wsUtil.wrap(controller.getIndexStatus));
+  router.post('/indexes/sync', wsUtil.wrap(controller.syncIndexes));
+
+  app.use(wsRoot, router);
+};
+
+
+/**
+ * Ref repair runs in the background; responds w/ the id of the job (see /jobs)
+**/
 controller.performRepair = function(req, res) {
   console.log('db/performRepair ws called');
-  wsUtil.sendPromiseResult(res, db._svc.RefService.repair());
+  auth.checkRoles(req, [SYSADMIN_ROLE]).then(
+    function() {
+      return auth.getCurrentUser(req).then(function(user) {
+        return JobService.enqueue('sys.repairRefs', null, {user:user});
+      })
+      .then(function(jobId) {
+        res.status(202).json({message:'queued reference repair', job:jobId});
+      });
+    },
+    function(err) {
+      wsUtil.handleError(res, err, 401);
+    }
+  )
+  .then(null, wsUtil.handleError.bind(null, res));
+};
+
+
+/**
+ * Declared vs. actual indexes per collection (?className for just that class's collection)
+**/
+controller.getIndexStatus = function(req, res) {
+  var className = req.query.className;
+  auth.checkRoles(req, [SYSADMIN_ROLE]).then(
+    function() {
+      if(className && !db[className]) {
+        return wsUtil.handleError(res, 'invalid class '+className, 400);
+      }
+      return db._svc.IndexService.getIndexStatus(className).then(function(status) {
+        res.json({result:status});
+      });
+    },
+    function(err) {
+      wsUtil.handleError(res, err, 401);
+    }
+  )
+  .then(null, wsUtil.handleError.bind(null, res));
+};
+
+/**
+ * Sync declared indexes now (?className for just that class's collection)
+**/
+controller.syncIndexes = function(req, res) {
+  var className = req.query.className;
+  auth.checkRoles(req, [SYSADMIN_ROLE]).then(
+    function() {
+      if(className && !db[className]) {
+        return wsUtil.handleError(res, 'invalid class '+className, 400);
+      }
+      var IndexService = db._svc.IndexService;
+      //One class per collection is enough
+      var classNames = className ? [className] : _.uniq(db.getClassNames(), function(cn) {
+        return db[cn].collection.name;
+      });
+      return _.reduce(classNames, function(promise, cn) {
+        return promise.then(function(reports) {
+          return IndexService.syncIndexes(cn).then(function(report) {
+            reports.push(report);
+            return reports;
+          });
+        });
+      }, Q([]))
+      .then(function(reports) {
+        res.json({result:reports});
+      });
+    },
+    function(err) {
+      wsUtil.handleError(res, err, 401);
+    }
+  )
+  .then(null, wsUtil.handleError.bind(null, res));
 };
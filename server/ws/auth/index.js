@@ -194,6 +194,36 @@ exports.getAuthInterceptor = function(app) {
     };
 };
 
+/**
+ * Authenticate a request that doesn't pass through the express middleware (i.e. a WebSocket upgrade)
+ *  using the same access_token cookie or Bearer header the interceptor accepts.
+ * @return the decoded token ({_id, ...}) to be used as req.user, or null
+**/
+exports.verifyRequestToken = function(req) {
+  var suppliedToken = null;
+
+  _.forEach((req.headers.cookie || '').split(/;\s*/), function(c) {
+    var eq = c.indexOf('=');
+    if(eq > 0 && c.substring(0, eq) === 'access_token') {
+      suppliedToken = decodeURIComponent(c.substring(eq+1)).replace(/\"/g,'');
+    }
+  });
+  if(!suppliedToken && req.headers.authorization && req.headers.authorization.indexOf('Bearer') === 0) {
+    suppliedToken = req.headers.authorization.substring(7);
+  }
+
+  if(!suppliedToken || !checkToken(suppliedToken)) {
+    return null;
+  }
+
+  try {
+    return jwt.verify(suppliedToken, conf.secrets.session);
+  }
+  catch(err) {
+    return null;
+  }
+};
+
 exports.redirectToLogin = function(res) {
   return res.redirect(conf.urlBase+'/'+loginPath);
 };
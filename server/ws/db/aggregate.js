@@ -0,0 +1,261 @@
+/*
+Copyright (C) 2019  Eugene Lockett  gene@noonian.org
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+/**
+ * aggregate.js
+ *  Builds a DAC-restricted mongo aggregation pipeline from a client-supplied spec.
+ *
+ *  Allowed stages: $match $group $project $sort $limit $skip $unwind $count $lookup,
+ *   plus $bucketByDate:
+ *    {$bucketByDate:{field:'created_date', unit:'day', by:['status'], accumulators:{total:{$sum:'$amount'}}}}
+ *    -> groups on {date:<formatted date bucket>, status:...}; unit is one of hour/day/week/month/year.
+ *
+ *  The caller's read DAC condition is always the first $match, followed by exclusion of restricted fields.
+ *  (Soft-deleted objects are excluded from the target class, but not from $lookup'd classes.)
+ *  $match stages ahead of any reshaping stage are run through applyNoonianContext/queryToMongo, so
+ *  custom QueryOps may be used there.  {$date:'<ISO string>'} in a $match is converted to a Date.
+ *  $lookup.from takes a class name; it is refused unless the user can read that class with no DAC condition,
+ *  and its foreignField may not be one of that class's restricted fields.
+ *  Server-side javascript ($where, $function, $accumulator) is refused anywhere in the pipeline.
+ **/
+var Q = require('q');
+var _ = require('lodash');
+
+var db = require('../../api/datasource');
+var auth = require('../../api/auth');
+
+var ALLOWED_STAGES = ['$match', '$group', '$project', '$sort', '$limit', '$skip', '$unwind', '$count', '$lookup', '$bucketByDate'];
+
+//Stages after which documents no longer have the shape of the target class
+var RESHAPING_STAGES = ['$group', '$project', '$unwind', '$count', '$lookup', '$bucketByDate'];
+
+//Server-side javascript
+var FORBIDDEN_OPERATORS = ['$where', '$function', '$accumulator'];
+
+//Applied to the end of every pipeline
+var MAX_RESULTS = 10000;
+
+var DATE_FORMATS = {
+  hour:'%Y-%m-%dT%H',
+  day:'%Y-%m-%d',
+  week:'%Y-W%U',
+  month:'%Y-%m',
+  year:'%Y'
+};
+
+
+var aggError = function(message, status) {
+  var err = new Error(message);
+  err.status = status || 400;
+  return err;
+};
+
+/**
+ * Refuse server-side javascript operators anywhere w/in a stage
+ **/
+var rejectForbidden = function(obj, stageIndex) {
+  if(obj && typeof obj === 'object') {
+    _.forEach(obj, function(v, k) {
+      if(FORBIDDEN_OPERATORS.indexOf(k) > -1)
+        throw aggError('stage '+stageIndex+': '+k+' is not allowed');
+      rejectForbidden(v, stageIndex);
+    });
+  }
+};
+
+/**
+ * @return true if path is (w/in, or contains) a field restricted by fieldRestrictions
+ **/
+var isRestricted = function(path, fieldRestrictions) {
+  return _.some(fieldRestrictions, function(v, f) {
+    return path === f || path.indexOf(f+'.') === 0 || f.indexOf(path+'.') === 0;
+  });
+};
+
+/**
+ * Convert {$date:'...'} values to Dates
+ **/
+var reviveMatch = function(obj) {
+  if(Array.isArray(obj)) {
+    return _.map(obj, reviveMatch);
+  }
+  if(obj && typeof obj === 'object' && !(obj instanceof Date)) {
+    if(Object.keys(obj).length === 1 && typeof obj.$date === 'string') {
+      var d = new Date(obj.$date);
+      if(isNaN(d.getTime()))
+        throw aggError('invalid $date: '+obj.$date);
+      return d;
+    }
+    var result = {};
+    _.forEach(obj, function(v, k) {
+      result[k] = reviveMatch(v);
+    });
+    return result;
+  }
+  return obj;
+};
+
+var expandBucketByDate = function(spec) {
+  if(!spec || typeof spec.field !== 'string')
+    throw aggError('$bucketByDate requires field');
+
+  var format = DATE_FORMATS[spec.unit || 'day'];
+  if(!format)
+    throw aggError('$bucketByDate unit must be one of '+Object.keys(DATE_FORMATS).join(', '));
+
+  var groupId = {
+    date:{$dateToString:{format:format, date:'$'+spec.field}}
+  };
+  _.forEach(spec.by, function(f) {
+    groupId[f.replace(/\./g, '_')] = '$'+f;
+  });
+
+  var group = _.assign({_id:groupId}, spec.accumulators || {count:{$sum:1}});
+  if(group._id !== groupId)
+    throw aggError('$bucketByDate accumulators may not define _id');
+
+  return [{$group:group}, {$sort:{'_id.date':1}}];
+};
+
+
+/**
+ * Check a $lookup and rewrite its "from" class name into the collection name.
+ * @return promise resolving to the stages to use in its place
+ **/
+var processLookup = function(req, spec) {
+  if(!spec || typeof spec.from !== 'string' || !spec.as || spec.pipeline)
+    throw aggError('$lookup requires from, localField, foreignField, as');
+
+  var ForeignModel = db[spec.from];
+  if(!ForeignModel || !ForeignModel._bo_meta_data)
+    throw aggError('$lookup: unknown class '+spec.from);
+
+  return auth.aggregateReadDacs(req, ForeignModel).then(
+    function(dacObj) {
+      if(dacObj.condition) {
+        //A plain $lookup can't filter the joined documents
+        throw aggError('$lookup: read access to '+spec.from+' is conditional', 403);
+      }
+      if(typeof spec.foreignField !== 'string' || isRestricted(spec.foreignField, dacObj.fieldRestrictions)) {
+        //(joining on a restricted field would reveal its values)
+        throw aggError('$lookup: may not join on '+spec.from+'.'+spec.foreignField, 403);
+      }
+
+      var result = [{$lookup:_.assign({}, spec, {from:ForeignModel.collection.name})}];
+      if(dacObj.fieldRestrictions) {
+        var proj = {};
+        _.forEach(dacObj.fieldRestrictions, function(v, f) {
+          proj[spec.as+'.'+f] = 0;
+        });
+        if(!_.isEmpty(proj))
+          result.push({$project:proj});
+      }
+      return result;
+    },
+    function(err) {
+      if(err && err.status)
+        throw err;
+      throw aggError('$lookup: not authorized to read '+spec.from, 403);
+    }
+  );
+};
+
+
+/**
+ * Build the pipeline to run against TargetModel
+ * @param pipelineSpec array of single-key stage objects
+ * @return promise resolving to a pipeline array (rejected w/ Error having status on invalid/unauthorized spec)
+ **/
+exports.buildPipeline = function(req, TargetModel, pipelineSpec) {
+  if(!Array.isArray(pipelineSpec))
+    return Q.reject(aggError('pipeline must be an array of stages'));
+
+  var metaData = TargetModel._bo_meta_data;
+
+  return Q.all([
+    auth.getCurrentUser(req),
+    auth.aggregateReadDacs(req, TargetModel).then(null, function(err) {
+      throw aggError(err, 401);
+    })
+  ])
+  .then(function(resultArr) {
+    var currUser = resultArr[0] ? resultArr[0].toPlainObject() : null;
+    var dacObj = resultArr[1];
+    var context = {currentUser:currUser};
+
+    var head = [];
+    if(metaData.type_desc_map._soft_delete) {
+      head.push({$match:{__deleted:null}});
+    }
+    if(dacObj.condition) {
+      var dacCond = _.cloneDeep(dacObj.condition);
+      db._svc.QueryOpService.applyNoonianContext(dacCond, context);
+      db._svc.QueryOpService.queryToMongo(dacCond, metaData);
+      head.push({$match:dacCond});
+    }
+    if(dacObj.fieldRestrictions && !_.isEmpty(dacObj.fieldRestrictions)) {
+      head.push({$project:_.clone(dacObj.fieldRestrictions)});
+    }
+
+    var reshaped = false;
+    var stagePromises = _.map(pipelineSpec, function(stage, i) {
+      var keys = stage && typeof stage === 'object' ? Object.keys(stage) : [];
+      if(keys.length !== 1)
+        throw aggError('stage '+i+' must have exactly one operator');
+
+      var op = keys[0];
+      var spec = stage[op];
+      if(ALLOWED_STAGES.indexOf(op) === -1)
+        throw aggError('stage '+i+': '+op+' is not allowed');
+      rejectForbidden(spec, i);
+
+      var result;
+      if(op === '$match') {
+        var cond = reviveMatch(spec);
+        if(!reshaped) {
+          var problems = db._svc.QueryOpService.validateQuery(cond, metaData);
+          if(problems.length) {
+            var err = aggError('stage '+i+': invalid $match');
+            err.problems = problems;
+            throw err;
+          }
+          db._svc.QueryOpService.applyNoonianContext(cond, context);
+          db._svc.QueryOpService.queryToMongo(cond, metaData);
+        }
+        result = [{$match:cond}];
+      }
+      else if(op === '$bucketByDate') {
+        result = expandBucketByDate(spec);
+      }
+      else if(op === '$lookup') {
+        result = processLookup(req, spec);
+      }
+      else {
+        result = [stage];
+      }
+
+      if(RESHAPING_STAGES.indexOf(op) > -1)
+        reshaped = true;
+
+      return result;
+    });
+
+    return Q.all(stagePromises).then(function(stageLists) {
+      return head.concat(_.flatten(stageLists), [{$limit:MAX_RESULTS}]);
+    });
+  });
+};
@@ -0,0 +1,292 @@
+/*
+Copyright (C) 2019  Eugene Lockett  gene@noonian.org
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+/**
+ * batch.js
+ *  All-or-nothing execution of a list of create/update/delete operations across classes.
+ *
+ *  Operations are applied in order through the regular save/remove pipeline (DACs, DataTriggers).
+ *  If one fails, the ones already applied are undone in reverse order from an undo log.
+ *  (MongoDB transactions would be preferable, but the mongoose 4.x driver in use has no session support;
+ *   the undo log is therefore the only mechanism.  Concurrent readers may briefly see a partial batch.)
+ *
+ *  Operation format:
+ *   {op:'create', className:'Foo', ref:'foo1', data:{...}}
+ *   {op:'update', className:'Foo', id:'...', data:{...}}
+ *   {op:'delete', className:'Foo', id:'...'}
+ *  Anywhere in id or data, {$batchRef:'foo1'} is replaced with the _id of the object created
+ *  by the earlier operation labelled ref:'foo1'.
+ **/
+var Q = require('q');
+var _ = require('lodash');
+
+var wsUtil = require('../util');
+var db = require('../../api/datasource');
+var auth = require('../../api/auth');
+
+var DAC_FN = {
+  create:'aggregateCreateDacs',
+  update:'aggregateUpdateDacs',
+  delete:'aggregateDeleteDacs'
+};
+
+
+var batchError = function(message, status) {
+  var err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+/**
+ * Replace {$batchRef:label} placeholders with the ids in refs
+ **/
+var resolveRefs = function(value, refs) {
+  if(Array.isArray(value)) {
+    return _.map(value, function(v) { return resolveRefs(v, refs); });
+  }
+  if(value && _.isPlainObject(value)) {
+    if(value.hasOwnProperty('$batchRef')) {
+      if(!refs.hasOwnProperty(value.$batchRef))
+        throw batchError('unknown $batchRef: '+value.$batchRef, 400);
+      return refs[value.$batchRef];
+    }
+    return _.mapValues(value, function(v) { return resolveRefs(v, refs); });
+  }
+  return value;
+};
+
+var removeForbidden = function(dacProj, obj) {
+  _.forEach(dacProj, function(v, fieldName) {
+    if(v == 0)
+      delete obj[fieldName];
+  });
+  return obj;
+};
+
+/**
+ * Check an operation is well-formed before anything is applied
+ **/
+var validateOperation = function(op, i) {
+  if(!op || typeof op !== 'object')
+    throw batchError('operation '+i+': not an object', 400);
+  if(!DAC_FN[op.op])
+    throw batchError('operation '+i+': op must be one of create, update, delete', 400);
+  if(!op.className || !db[op.className] || !db[op.className]._bo_meta_data)
+    throw batchError('operation '+i+': invalid className '+op.className, 400);
+  if(op.op !== 'create' && !op.id)
+    throw batchError('operation '+i+': id required for '+op.op, 400);
+  if(op.op !== 'delete' && (!op.data || typeof op.data !== 'object'))
+    throw batchError('operation '+i+': data required for '+op.op, 400);
+};
+
+
+/**
+ * Undo functions, one per operation type; each returns a promise
+ **/
+var undoCreate = function(TargetModel, id, context) {
+  return TargetModel.findOne({_id:id}).exec().then(function(modelObj) {
+    if(!modelObj)
+      return;
+    modelObj[Symbol.for('context')] = context;
+    //(remove() on a soft-delete class would just move it to the trash)
+    return TargetModel._bo_meta_data.type_desc_map._soft_delete ? modelObj.purge() : modelObj.remove();
+  });
+};
+
+var undoUpdate = function(TargetModel, previous, appliedVer, saveOpts) {
+  return TargetModel.findOne({_id:previous._id}).exec().then(function(modelObj) {
+    if(!modelObj)
+      throw '$update-on-deleted';
+
+    _.forEach(TargetModel._bo_meta_data.type_desc_map, function(td, fieldName) {
+      if(fieldName.indexOf('_') !== 0) {
+        modelObj[fieldName] = previous[fieldName];
+        modelObj.markModified(fieldName);
+      }
+    });
+    //Rejected w/ $version-mismatch-error if someone else modified it since we did
+    modelObj.__ver = appliedVer;
+    return modelObj.save(saveOpts, null);
+  });
+};
+
+var undoDelete = function(TargetModel, previous, incomingRefs, saveOpts) {
+  if(TargetModel._bo_meta_data.type_desc_map._soft_delete) {
+    //Object is still in the trash
+    return TargetModel.findOne(db.includeDeleted({_id:previous._id})).exec().then(function(trashed) {
+      if(!trashed)
+        throw new Error('deleted object '+previous._id+' no longer in trash');
+      return trashed.restore(saveOpts);
+    });
+  }
+  //Recreate it, and re-link the references that were nulled out when it was deleted
+  var restored = new TargetModel(previous);
+  return restored.save(_.assign({useVersionId:previous.__ver}, saveOpts), null).then(function(saveResult) {
+    return db._svc.RefService.restoreIncomingRefs(saveResult, incomingRefs || []);
+  });
+};
+
+
+/**
+ * Execute operations on behalf of the user making req.
+ * @return promise resolving to [{op, className, _id, ref}] for each operation,
+ *   or rejecting with an Error having:
+ *     status, operationIndex (the failed operation), undoErrors ([{operationIndex, error}] from the rollback)
+ **/
+exports.execute = function(req, operations) {
+  if(!Array.isArray(operations) || !operations.length)
+    return Q.reject(batchError('operations must be a non-empty array', 400));
+
+  try {
+    _.forEach(operations, validateOperation);
+  }
+  catch(err) {
+    return Q.reject(err);
+  }
+
+  var refs = {};      //batch ref label -> created id
+  var undoLog = [];   //{operationIndex, fn}
+  var results = [];
+  var dacCache = {};
+  var currUser;
+  var saveOpts;       //{currentUser, origin}
+
+  var getDacs = function(op, TargetModel) {
+    var key = op.op+':'+op.className;
+    if(!dacCache[key]) {
+      dacCache[key] = auth[DAC_FN[op.op]](req, TargetModel).then(null, function(err) {
+        throw batchError('not authorized to '+op.op+' '+op.className+' ('+err+')', 401);
+      });
+    }
+    return dacCache[key];
+  };
+
+  var applyOperation = function(op, i) {
+    var TargetModel = db[op.className];
+    var id = resolveRefs(op.id, refs);
+    var data = op.data ? resolveRefs(_.cloneDeep(op.data), refs) : null;
+    var context = {currentUser:currUser, origin:saveOpts.origin};
+
+    return getDacs(op, TargetModel).then(function(dacObj) {
+      var dacCond = dacObj.condition ? _.cloneDeep(dacObj.condition) : null;
+      var dacProj = dacObj.fieldRestrictions;
+
+      if(op.op === 'create') {
+        delete data._id; //(ids are always assigned by the server)
+        var newModelObj = new TargetModel(removeForbidden(dacProj, data));
+
+        if(dacCond)
+          db._svc.QueryOpService.applyNoonianContext(dacCond, context);
+        if(!auth.checkCondition(dacCond, newModelObj))
+          throw batchError('Not authorized to insert', 401);
+
+        return newModelObj.save(saveOpts, null).then(function(saveResult) {
+          undoLog.push({operationIndex:i, fn:undoCreate.bind(null, TargetModel, saveResult._id, context)});
+          if(op.ref)
+            refs[op.ref] = saveResult._id;
+          return saveResult._id;
+        });
+      }
+
+      var queryObj = dacCond ? {$and:[{_id:id}, dacCond]} : {_id:id};
+      queryObj.$useContext = context;
+
+      return TargetModel.findOne(queryObj).exec().then(function(modelObj) {
+        if(!modelObj)
+          throw batchError(op.className+' '+id+' not found', 404);
+
+        var previous = modelObj.toPlainObject();
+
+        if(op.op === 'update') {
+          delete data._id;
+          _.assign(modelObj, removeForbidden(dacProj, data));
+          return modelObj.save(saveOpts, null).then(function(saveResult) {
+            undoLog.push({operationIndex:i, fn:undoUpdate.bind(null, TargetModel, previous, saveResult.__ver, saveOpts)});
+            return saveResult._id;
+          });
+        }
+        else {
+          modelObj[Symbol.for('context')] = context;
+          //(soft-deleted objects keep their incoming refs in the trash)
+          var irefsPromise = TargetModel._bo_meta_data.type_desc_map._soft_delete ?
+            Q(null) :
+            db._svc.RefService.getIncomingRefs(op.className, modelObj._id);
+
+          return irefsPromise.then(function(incomingRefs) {
+            return modelObj.remove().then(function() {
+              undoLog.push({operationIndex:i, fn:undoDelete.bind(null, TargetModel, previous, incomingRefs, saveOpts)});
+              return modelObj._id;
+            });
+          });
+        }
+      });
+    })
+    .then(function(resultId) {
+      var r = {op:op.op, className:op.className, _id:resultId};
+      if(op.ref)
+        r.ref = op.ref;
+      results.push(r);
+    });
+  };
+
+  var rollback = function() {
+    var undoErrors = [];
+    var chain = Q(true);
+    _.forEachRight(undoLog, function(entry) {
+      chain = chain.then(function() {
+        return Q(entry.fn()).then(null, function(err) {
+          console.error('batch rollback of operation %s failed: %s', entry.operationIndex, err);
+          undoErrors.push({operationIndex:entry.operationIndex, error:(err instanceof Error ? err.message : ''+err)});
+        });
+      });
+    });
+    return chain.then(function() {
+      return undoErrors;
+    });
+  };
+
+
+  return auth.getCurrentUser(req).then(function(userObj) {
+    currUser = userObj ? userObj.toPlainObject() : null;
+    saveOpts = {currentUser:currUser, origin:wsUtil.requestOrigin(req)};
+
+    var failedIndex;
+    var chain = Q(true);
+    _.forEach(operations, function(op, i) {
+      chain = chain.then(function() {
+        failedIndex = i;
+        return applyOperation(op, i);
+      });
+    });
+
+    return chain.then(
+      function() {
+        return results;
+      },
+      function(err) {
+        console.error('batch failed at operation %s: %s', failedIndex, err);
+        return rollback().then(function(undoErrors) {
+          var batchErr = err instanceof Error ? err : new Error(err);
+          batchErr.status = batchErr.status || 500;
+          batchErr.operationIndex = failedIndex;
+          batchErr.undoErrors = undoErrors;
+          throw batchErr;
+        });
+      }
+    );
+  });
+};
@@ -0,0 +1,217 @@
+/*
+Copyright (C) 2019  Eugene Lockett  gene@noonian.org
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+/**
+ * cursor.js
+ *  Continuation tokens for keyset ("cursor") pagination in the db web service.
+ *
+ *  A token is an opaque URL-safe string capturing the effective sort and the sort-key values
+ *  of the last record on a page.  The next page is every record that comes strictly after
+ *  that record in the sort order; _id is always appended to the sort as a tie-breaker.
+ **/
+var _ = require('lodash');
+
+
+/**
+ * Normalize a sort spec as accepted by mongoose ({field:1|-1|'asc'|'desc'}, or 'field -other')
+ *  into a list of [fieldName, 1|-1] pairs, always terminated by _id.
+ **/
+var normalizeSort =
+exports.normalizeSort = function(sort) {
+  var result = [];
+
+  if(typeof sort === 'string') {
+    _.forEach(sort.split(/\s+/), function(f) {
+      if(!f) return;
+      if(f.indexOf('-') === 0)
+        result.push([f.substring(1), -1]);
+      else
+        result.push([f, 1]);
+    });
+  }
+  else if(sort && typeof sort === 'object') {
+    _.forEach(sort, function(dir, f) {
+      var desc = (dir == -1 || dir === 'desc' || dir === 'descending');
+      result.push([f, desc ? -1 : 1]);
+    });
+  }
+
+  var idPos = _.findIndex(result, function(s) { return s[0] === '_id'; });
+  if(idPos === -1) {
+    result.push(['_id', 1]);
+  }
+  else {
+    //Anything after _id has no effect on the ordering
+    result = result.slice(0, idPos+1);
+  }
+
+  return result;
+};
+
+/**
+ * Convert normalized sort list back into a mongoose sort object
+ **/
+exports.toSortObject = function(sortList) {
+  var result = {};
+  _.forEach(sortList, function(s) {
+    result[s[0]] = s[1];
+  });
+  return result;
+};
+
+/**
+ * The list of field names a page needs in order to compute the next token
+ **/
+exports.sortFields = function(sortList) {
+  return _.map(sortList, function(s) { return s[0]; });
+};
+
+
+var encodeValue = function(v) {
+  if(v instanceof Date)
+    return {$date:v.toISOString()};
+  if(v === undefined)
+    return null;
+  return v;
+};
+
+//a value as produced by encodeValue: nothing that could be read as a query operator
+var isPlainValue = function(v) {
+  if(v && typeof v === 'object') {
+    if(v.$date !== undefined)
+      return Object.keys(v).length === 1 && typeof v.$date === 'string' && !isNaN(Date.parse(v.$date));
+    return _.every(v, function(sub, k) {
+      return (''+k).indexOf('$') !== 0 && isPlainValue(sub);
+    });
+  }
+  return v === null || typeof v === 'string' || typeof v === 'number' || typeof v === 'boolean';
+};
+
+var decodeValue = function(v) {
+  if(v && typeof v === 'object' && v.$date)
+    return new Date(v.$date);
+  return v;
+};
+
+
+/**
+ * Build the token pointing just past lastRecord.
+ **/
+exports.encode = function(sortList, lastRecord) {
+  var values = _.map(sortList, function(s) {
+    return encodeValue(_.get(lastRecord, s[0]));
+  });
+
+  var json = JSON.stringify({s:sortList, v:values});
+  return Buffer.from(json).toString('base64').replace(/\//g,'_').replace(/\+/g,'-').replace(/=+$/, '');
+};
+
+/**
+ * Parse a token produced by encode()
+ * @return {sortList:[...], values:[...]}
+ * @throws '$invalid_cursor' if the token is malformed
+ *  (the caller still needs to check the sort and condition against the class; see db list)
+ **/
+exports.decode = function(token) {
+  var parsed;
+  try {
+    var b64 = token.replace(/_/g,'/').replace(/-/g,'+');
+    parsed = JSON.parse(Buffer.from(b64, 'base64').toString());
+  }
+  catch(err) {
+    throw '$invalid_cursor';
+  }
+
+  if(!parsed || !Array.isArray(parsed.s) || !Array.isArray(parsed.v) || parsed.s.length !== parsed.v.length) {
+    throw '$invalid_cursor';
+  }
+
+  //The token is client-supplied: only [field, direction] pairs, ending w/ _id, and values w/o operators
+  var validSort = parsed.s.length && _.every(parsed.s, function(s) {
+    return Array.isArray(s) && s.length === 2 && typeof s[0] === 'string' && s[0] &&
+      s[0].indexOf('$') === -1 && (s[1] === 1 || s[1] === -1);
+  });
+  if(!validSort || _.last(parsed.s)[0] !== '_id' || !_.every(parsed.v, isPlainValue)) {
+    throw '$invalid_cursor';
+  }
+
+  return {
+    sortList:parsed.s,
+    values:_.map(parsed.v, decodeValue)
+  };
+};
+
+
+//condition for "field comes strictly after value" in the given direction
+// (nulls/missing sort first ascending, last descending, consistent w/ mongo)
+var afterClause = function(field, dir, value) {
+  var c;
+  if(value === null) {
+    if(dir === -1)
+      return null;
+    c = {};
+    c[field] = {$ne:null};
+    return c;
+  }
+
+  c = {};
+  if(dir === -1) {
+    var nullClause = {};
+    nullClause[field] = null;
+    c[field] = {$lt:value};
+    return {$or:[c, nullClause]};
+  }
+
+  c[field] = {$gt:value};
+  return c;
+};
+
+var equalsClause = function(field, value) {
+  var c = {};
+  c[field] = (value === null) ? null : {$eq:value};
+  return c;
+};
+
+/**
+ * Build the query condition selecting records that come after the decoded token position.
+ *  For sort [a, b, _id] that is:
+ *   a > va  OR  (a == va AND b > vb)  OR  (a == va AND b == vb AND _id > vid)
+ **/
+exports.buildCondition = function(sortList, values) {
+  var terms = [];
+
+  for(var i=0; i < sortList.length; i++) {
+    var after = afterClause(sortList[i][0], sortList[i][1], values[i]);
+    if(!after)
+      continue;
+
+    var conj = [];
+    for(var j=0; j < i; j++) {
+      conj.push(equalsClause(sortList[j][0], values[j]));
+    }
+    conj.push(after);
+
+    terms.push(conj.length === 1 ? conj[0] : {$and:conj});
+  }
+
+  if(terms.length === 0) {
+    //Nothing can come after the token
+    return {_id:{$in:[]}};
+  }
+
+  return terms.length === 1 ? terms[0] : {$or:terms};
+};
@@ -0,0 +1,98 @@
+/*
+Copyright (C) 2019  Eugene Lockett  gene@noonian.org
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+/**
+ * etag.js
+ *  HTTP entity tags for business objects, derived from their __ver VersionId:
+ *   ETag: "<__ver>"   (W/"<__ver>" when the representation is partial or expanded, via select/expand)
+ *  If-None-Match uses weak comparison; If-Match uses strong comparison, per RFC 7232.
+ **/
+var _ = require('lodash');
+
+
+/**
+ * @return the ETag header value for an object version
+ **/
+var etagFor =
+exports.etagFor = function(ver, weak) {
+  return (weak ? 'W/' : '')+'"'+ver+'"';
+};
+
+/**
+ * Parse an If-Match/If-None-Match header
+ * @return '*', or list of {weak, ver}
+ **/
+var parseHeader = function(headerValue) {
+  if(headerValue.trim() === '*')
+    return '*';
+
+  var result = [];
+  var re = /(W\/)?"([^"]*)"/g;
+  var m;
+  while((m = re.exec(headerValue)) !== null) {
+    result.push({weak:!!m[1], ver:m[2]});
+  }
+  return result;
+};
+
+/**
+ * @return true if request's If-None-Match matches ver (i.e. client's copy is current -> 304)
+ **/
+exports.notModified = function(req, ver) {
+  var header = req.headers['if-none-match'];
+  if(!header || !ver)
+    return false;
+
+  var tags = parseHeader(header);
+  return tags === '*' || _.some(tags, 'ver', ''+ver);
+};
+
+/**
+ * @return true if the request carries an If-Match header
+ **/
+exports.hasIfMatch = function(req) {
+  return !!req.headers['if-match'];
+};
+
+/**
+ * @return true if request has an If-Match header that current version ver fails
+ *  (always the case when there is no current version, i.e. the object is missing or unreadable; even for If-Match: *)
+ **/
+exports.preconditionFails = function(req, ver) {
+  var header = req.headers['if-match'];
+  if(!header)
+    return false;
+  if(!ver)
+    return true;
+
+  var tags = parseHeader(header);
+  if(tags === '*')
+    return false;
+
+  return !_.some(tags, function(t) {
+    return !t.weak && t.ver === ''+ver;
+  });
+};
+
+/**
+ * Respond 412, w/ current version in the body and ETag
+ **/
+exports.sendPreconditionFailed = function(res, currentVer) {
+  if(currentVer)
+    res.set('ETag', etagFor(currentVer));
+  return res.status(412).json({error:'$precondition_failed', currentVersion:currentVer || null});
+};
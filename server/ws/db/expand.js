@@ -0,0 +1,216 @@
+/*
+Copyright (C) 2019  Eugene Lockett  gene@noonian.org
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+/**
+ * expand.js
+ *  Reference expansion for db web service results: replaces {_id, _disp} reference stubs
+ *  with the full referenced objects.
+ *
+ *  Paths may traverse references and composites, and apply to array fields:
+ *    expand=owner,line_items.product.vendor
+ *  References at each level are fetched with one query per referenced class, subject to that
+ *  class's read DACs; stubs for objects the user may not read are left as they are.
+ **/
+var Q = require('q');
+var _ = require('lodash');
+
+var db = require('../../api/datasource');
+var auth = require('../../api/auth');
+
+var MAX_PATHS = 20;
+var MAX_DEPTH = 5;
+
+
+var expandError = function(message) {
+  var err = new Error(message);
+  err.status = 400;
+  return err;
+};
+
+/**
+ * Parse the expand parameter: comma-separated paths, or a JSON array of paths
+ * @return tree of path segments, e.g. {owner:{}, line_items:{product:{vendor:{}}}}
+ **/
+var parseExpandParam =
+exports.parseExpandParam = function(param) {
+  var paths;
+  if(Array.isArray(param)) {
+    paths = param;
+  }
+  else if(typeof param === 'string' && param.indexOf('[') === 0) {
+    try {
+      paths = JSON.parse(param);
+    }
+    catch(err) {
+      throw expandError('invalid expand parameter');
+    }
+  }
+  else {
+    paths = (''+param).split(',');
+  }
+
+  paths = _.compact(_.map(paths, function(p) { return typeof p === 'string' && p.trim(); }));
+  if(paths.length > MAX_PATHS)
+    throw expandError('too many expand paths (max '+MAX_PATHS+')');
+
+  var tree = {};
+  _.forEach(paths, function(p) {
+    var segments = p.split('.');
+    if(segments.length > MAX_DEPTH)
+      throw expandError('expand path too deep: '+p);
+
+    var node = tree;
+    _.forEach(segments, function(s) {
+      node = node[s] = node[s] || {};
+    });
+  });
+  return tree;
+};
+
+
+/**
+ * Resolves the references in objects (plain objects of the class/composite described by typeDescMap)
+ *  according to tree; modifies objects in place.
+ * @param ctx {req, currUser, dacs:{className->promise}}
+ **/
+var expandLevel = function(ctx, typeDescMap, objects, tree, pathPrefix) {
+  var promises = _.map(tree, function(subtree, fieldName) {
+    var path = pathPrefix+fieldName;
+    var td = fieldName.indexOf('_') !== 0 && typeDescMap && typeDescMap[fieldName];
+    var isArray = Array.isArray(td);
+    var baseTd = isArray ? td[0] : td;
+
+    if(!baseTd || (baseTd.type !== 'reference' && baseTd.type !== 'composite'))
+      throw expandError('not a reference or composite field: '+path);
+
+    if(baseTd.type === 'composite') {
+      if(_.isEmpty(subtree))
+        throw expandError('composite field must be followed by a sub-path: '+path);
+
+      var subObjects = _.compact(_.flatten(_.map(objects, fieldName)));
+      return expandLevel(ctx, baseTd.type_desc_map, subObjects, subtree, path+'.');
+    }
+
+    var RefModel = db[baseTd.ref_class];
+    if(!RefModel || !RefModel._bo_meta_data)
+      throw expandError('unknown ref_class for '+path);
+
+    //Gather up the stubs...
+    var ids = [];
+    _.forEach(objects, function(obj) {
+      var v = obj && obj[fieldName];
+      _.forEach(isArray ? v : [v], function(stub) {
+        if(stub && stub._id)
+          ids.push(stub._id);
+      });
+    });
+    ids = _.uniq(ids);
+    if(!ids.length)
+      return Q(true);
+
+    //... fetch them all in one go...
+    return fetchReadable(ctx, RefModel, ids).then(function(refObjMap) {
+      var replace = function(stub) {
+        return (stub && refObjMap[stub._id]) || stub;
+      };
+
+      //... and swap stubs for the full objects
+      _.forEach(objects, function(obj) {
+        var v = obj && obj[fieldName];
+        if(!v)
+          return;
+        obj[fieldName] = isArray ? _.map(v, replace) : replace(v);
+      });
+
+      if(!_.isEmpty(subtree)) {
+        return expandLevel(ctx, RefModel._bo_meta_data.type_desc_map, _.values(refObjMap), subtree, path+'.');
+      }
+    });
+  });
+
+  return Q.all(promises);
+};
+
+
+/**
+ * Query ids of RefModel w/ the user's read DACs applied
+ * @return promise resolving to map id->plain object; empty if the user has no read access to the class.
+ **/
+var fetchReadable = function(ctx, RefModel, ids) {
+  var className = RefModel._bo_meta_data.class_name;
+  if(!ctx.dacs[className]) {
+    ctx.dacs[className] = auth.aggregateReadDacs(ctx.req, RefModel).then(null, function() {
+      return false;
+    });
+  }
+
+  return ctx.dacs[className].then(function(dacObj) {
+    if(!dacObj)
+      return {};
+
+    var queryObj = {_id:{$in:ids}};
+    if(dacObj.condition) {
+      queryObj = {$and:[queryObj, _.cloneDeep(dacObj.condition)]};
+      queryObj.$useContext = {currentUser:ctx.currUser};
+    }
+
+    return RefModel.find(queryObj, dacObj.fieldRestrictions).exec().then(function(refObjs) {
+      var result = {};
+      _.forEach(refObjs, function(r) {
+        result[r._id] = r.toJSON();
+      });
+      return result;
+    });
+  });
+};
+
+
+/**
+ * Expand references in a query result.
+ * @param result model object or array of model objects of TargetModel
+ * @param expandParam value of the expand query parameter
+ * @return promise resolving to the corresponding plain object(s) w/ references expanded
+ **/
+exports.expand = function(req, TargetModel, result, expandParam) {
+  var tree;
+  try {
+    tree = parseExpandParam(expandParam);
+  }
+  catch(err) {
+    return Q.reject(err);
+  }
+
+  var isArray = Array.isArray(result);
+  var objects = _.map(isArray ? result : [result], function(r) {
+    return (r && r.toJSON) ? r.toJSON() : r;
+  });
+
+  if(_.isEmpty(tree))
+    return Q(isArray ? objects : objects[0]);
+
+  return auth.getCurrentUser(req).then(function(userObj) {
+    var ctx = {
+      req:req,
+      currUser:userObj ? userObj.toPlainObject() : null,
+      dacs:{}
+    };
+    return expandLevel(ctx, TargetModel._bo_meta_data.type_desc_map, objects, tree, '');
+  })
+  .then(function() {
+    return isArray ? objects : objects[0];
+  });
+};
@@ -19,9 +19,25 @@ along with this program.  If not, see <http://www.gnu.org/licenses/>.
 db Web Service
   Defines the server-side logic for datasource api webservice endpoints
    * GET     /db/:className              ->  list
+       (skip/limit paging, or keyset paging via ?cursor=first / ?cursor=<nextCursor>; ?count=false skips nMatched)
+   * GET     /db/:className/_aggregate   ->  aggregate (?pipeline=[...]; also POST w/ body {pipeline:[...]})
+   * GET     /db/:className/_changes     ->  changes (Server-Sent Events stream of create/update/delete; ?where=... filters)
+   * GET     /db/:className/_explain     ->  explain (?where=..., ?sort=...: the final mongo query a list would run, its
+                                              index report and mongo's plan; sysadmin only, ?user=<id> to explain as another user)
    * GET     /db/:className/:id          ->  get
+   (GETs accept ?expand=refField,other.nestedRef to replace reference stubs w/ the referenced objects)
+   (single-object GET sends an ETag from __ver and honors If-None-Match; POST/PATCH/DELETE by id honor If-Match)
+   * POST    /db/_batch                  ->  batch (create/update/delete across classes; all applied or all undone)
    * POST    /db/:className              ->  save
+   * PATCH   /db/:className/:id          ->  patch (JSON Patch or JSON Merge Patch body)
    * DELETE  /db/:className/:id          ->  remove
+   * GET     /db/:className/_trash       ->  trash (soft-deleted objects, for classes w/ _soft_delete:true in their definition)
+   * GET     /db/:className/:id/_history ->  history (audit trail entries w/ who/when/origin/delta)
+   * GET     /db/:className/:id/_asOf    ->  asOf (object reconstructed as of ?t=<ISO date>)
+   * POST    /db/:className/:id/_rollback -> rollback (to body {version} or {timestamp}, from UpdateLog history)
+   * POST    /db/:className/:id/_restore ->  restore (from trash)
+   * DELETE  /db/:className/:id/_purge   ->  purge (permanently remove from trash)
+   (POST/DELETE w/ ?where=... apply to each matching object, reporting success/failure per record)
 */
 var Q = require('q');
 var _ = require('lodash');
@@ -29,28 +45,55 @@ var express = require('express');
 
 var conf = require('../../conf');
 var wsUtil = require('../util');
+var cursorUtil = require('./cursor');
+var patchUtil = require('./patch');
+var batch = require('./batch');
+var expandUtil = require('./expand');
+var aggregateUtil = require('./aggregate');
+var etag = require('./etag');
 
 var db = require('../../api/datasource');
 var auth = require('../../api/auth');
+var ChangeFeedService = require('../../api/changefeed');
 
 var controller = {};
 
 
 var wsRoot = conf.urlBase+'/db';
 
+//Page size used for cursor paging when no limit is requested
+var DEFAULT_CURSOR_LIMIT = 100;
+
+var SYSADMIN_ROLE = 'FnQ_eBYITOSC8kJA4Zul5g';
+
 /**
  * init()
 **/
 exports.init = function(app) {
+  ChangeFeedService.init();
+
   var router = express.Router();
 
   router.get('/:className', wsUtil.wrap(controller.list));
+  router.get('/:className/_aggregate', wsUtil.wrap(controller.aggregate));
+  router.get('/:className/_trash', wsUtil.wrap(controller.trash));
+  router.get('/:className/_changes', wsUtil.wrap(controller.changes));
+  router.get('/:className/_explain', wsUtil.wrap(controller.explain));
+  router.get('/:className/:id/_history', wsUtil.wrap(controller.history));
+  router.get('/:className/:id/_asOf', wsUtil.wrap(controller.asOf));
   router.get('/:className/:id', wsUtil.wrap(controller.get));
 
+  router.post('/_batch', wsUtil.wrap(controller.batch));
   router.post('/:className', wsUtil.wrap(controller.save));
+  router.post('/:className/_aggregate', wsUtil.wrap(controller.aggregate));
+  router.post('/:className/:id/_restore', wsUtil.wrap(controller.restore));
+  router.post('/:className/:id/_rollback', wsUtil.wrap(controller.rollback));
   router.post('/:className/:id', wsUtil.wrap(controller.save));
 
+  router.patch('/:className/:id', wsUtil.wrap(controller.patch));
+
   router.delete('/:className', wsUtil.wrap(controller.remove));
+  router.delete('/:className/:id/_purge', wsUtil.wrap(controller.purge));
   router.delete('/:className/:id', wsUtil.wrap(controller.remove));
 
   app.use(wsRoot, router);
@@ -104,7 +147,9 @@ controller.list = function(req, res) {
     sort,
     groupBy = req.query.groupBy,
     limit = req.query.limit,
-    skip = req.query.skip;
+    skip = req.query.skip,
+    cursorToken = req.query.cursor,
+    skipCount = (req.query.count === 'false');
 
   if(limit !== undefined)
     limit = +limit;
@@ -112,24 +157,49 @@ controller.list = function(req, res) {
   if(skip !== undefined)
     skip = +skip;
 
-  if(req.query.where) {
-    try {
-      conditions = JSON.parse(req.query.where);
-    } catch(e) {console.log(e)}
-  }
-  if(req.query.select) {
-    try {
-      fields = JSON.parse(req.query.select);
-    } catch(e) {console.log(e)}
-  }
-  if(req.query.sort) {
-    try {
-      sort = JSON.parse(req.query.sort);
-    } catch(e) {console.log(e)}
-  }
+  //(throw invalidQueryError -> 400 w/ problems)
+  conditions = wsUtil.parseWhereParam(req, db[className]) || null;
+  fields = wsUtil.parseJsonParam(req, 'select');
+  sort = wsUtil.parseJsonParam(req, 'sort');
 
    //console.log('%s %j %j %j %s %s', className,conditions,fields,sort,limit,skip);
 
+  //Cursor mode: the token carries the sort; position is expressed as a condition rather than a skip
+  var cursorSort, cursorCond;
+  if(cursorToken !== undefined) {
+    if(groupBy || skip) {
+      return wsUtil.handleError(res, 'cursor paging cannot be combined with groupBy or skip', 400);
+    }
+
+    if(cursorToken === '' || cursorToken === 'first') {
+      cursorSort = cursorUtil.normalizeSort(sort);
+    }
+    else {
+      var decoded;
+      try {
+        decoded = cursorUtil.decode(cursorToken);
+      } catch(err) {
+        return wsUtil.handleError(res, err, 400);
+      }
+      cursorSort = decoded.sortList;
+      cursorCond = cursorUtil.buildCondition(decoded.sortList, decoded.values);
+
+      //Fields and values came from the client: check them like any sort and where
+      var QueryOpService = db._svc.QueryOpService;
+      var boMetaData = db[className] && db[className]._bo_meta_data;
+      var cursorProblems = boMetaData ? QueryOpService.validateSort(cursorUtil.toSortObject(cursorSort), boMetaData)
+        .concat(QueryOpService.validateQuery(cursorCond, boMetaData)) : [];
+      if(cursorProblems.length) {
+        throw wsUtil.invalidQueryError(_.map(cursorProblems, function(p) {
+          return {path:'cursor', message:p.message};
+        }));
+      }
+    }
+
+    sort = cursorUtil.toSortObject(cursorSort);
+    limit = limit || DEFAULT_CURSOR_LIMIT;
+  }
+
   var TargetModel = db[className];
 
   Q.all([
@@ -159,6 +229,18 @@ controller.list = function(req, res) {
     
     // console.log("Querying %s: %j", className, queryObj);
 
+    //Cursor values are sent back to the client in the token: can't page by a DAC-restricted field
+    // (checked against the DAC itself; cleanupProjection drops its exclusions from an inclusion projection)
+    var sortFields = cursorSort ? cursorUtil.sortFields(cursorSort) : [];
+    var restrictedSort = _.find(sortFields, function(sf) {
+      return _.some(dacProj, function(v, rf) {
+        return sf === rf || sf.indexOf(rf+'.') === 0 || rf.indexOf(sf+'.') === 0;
+      });
+    });
+    if(restrictedSort) {
+      return wsUtil.handleError(res, 'cannot page by restricted field '+restrictedSort, 400);
+    }
+
     //Incorporate field restrictions into the projection
     if(dacProj) {
       if(fields)
@@ -168,35 +250,81 @@ controller.list = function(req, res) {
     }
 
     cleanupProjection(fields);
-       
 
-    TargetModel.count(queryObj, function(err, totalRecords) {
-      if(err)
-        return wsUtil.handleError(res, err);
+    if(cursorSort && fields) {
+      //Need the sort keys on each record to build the next token
+      var isInclusion = _.some(fields, function(v) { return v !== 0; });
+      for(var i=0; i < sortFields.length; i++) {
+        var sf = sortFields[i];
+        if(fields[sf] === 0) {
+          return wsUtil.handleError(res, 'cannot page by excluded field '+sf, 400);
+        }
+        if(isInclusion) {
+          fields[sf] = 1;
+        }
+      }
+    }
+
+    var countPromise;
+    if(skipCount && !groupBy) {
+      countPromise = Q(undefined);
+    }
+    else {
+      countPromise = TargetModel.count(queryObj).exec();
+    }
+
+    countPromise.then(function(totalRecords) {
 
       var query;
 
       if(!groupBy) {
         //Simple case: not a group-by query.  just do a find.
 
-        query = TargetModel.find(queryObj, fields);
+        var findCond = queryObj;
+        if(cursorCond) {
+          findCond = {$and:[queryObj, cursorCond]};
+          if(queryObj.$useContext) {
+            //(present if count was skipped)
+            findCond.$useContext = queryObj.$useContext;
+            delete queryObj.$useContext;
+          }
+        }
+
+        query = TargetModel.find(findCond, fields);
 
         if(sort)
           query.sort(sort);
         if(skip)
           query.skip(skip);
         if(limit)
-          query.limit(limit);
+          query.limit(cursorSort ? limit+1 : limit); //(one extra to see if there's another page)
 
         query.exec().then(
           function(result) {
-            res.json({
+            var response = {
               nMatched:totalRecords,
               result:result
+            };
+
+            if(cursorSort) {
+              var hasMore = result.length > limit;
+              if(hasMore) {
+                result.length = limit;
+              }
+              response.nextCursor = hasMore ? cursorUtil.encode(cursorSort, result[result.length-1]) : null;
+            }
+
+            if(!req.query.expand) {
+              return res.json(response);
+            }
+
+            return expandUtil.expand(req, TargetModel, result, req.query.expand).then(function(expanded) {
+              response.result = expanded;
+              res.json(response);
             });
-          },
-          wsUtil.handleError.bind(this, res) //Error handler for promise rejection
-        );
+          }
+        )
+        .then(null, wsUtil.handleError.bind(this, res)); //Error handler for promise rejection (incl. expansion)
       }
       else {
         //Construct an aggretation pipeline for groupBy...
@@ -221,8 +349,13 @@ controller.list = function(req, res) {
           groupBy = groupBy+'._id';
         }
 
+        //(aggregate() bypasses the soft-delete query wrapper)
+        var gbMatch = TargetModel._bo_meta_data.type_desc_map._soft_delete ?
+          {$and:[queryObj, {__deleted:null}]} :
+          queryObj;
+
         query = TargetModel.aggregate()
-          .match(queryObj);
+          .match(gbMatch);
 
         //https://jira.mongodb.org/browse/SERVER-13715
         if(fields)
@@ -244,7 +377,7 @@ controller.list = function(req, res) {
 
 
         var countQuery = TargetModel.aggregate()
-          .match(queryObj)
+          .match(gbMatch)
           .group({
             _id:'$'+groupBy,
             count:{$sum:1}
@@ -270,9 +403,8 @@ controller.list = function(req, res) {
         wsUtil.handleError.bind(this, res));
       }
 
-
-
-    });
+    },
+    wsUtil.handleError.bind(this, res));
 
   },
   function(err) {
@@ -285,18 +417,47 @@ controller.list = function(req, res) {
 
 };
 
+/**
+ * Run an aggregation pipeline against a class; see aggregate.js for what's allowed in it.
+**/
+controller.aggregate = function(req, res) {
+  var TargetModel = db[req.params.className];
+  if(!TargetModel || !TargetModel._bo_meta_data) {
+    return wsUtil.handleError(res, 'invalid class '+req.params.className, 404);
+  }
+
+  var pipelineSpec;
+  if(req.method === 'GET') {
+    try {
+      pipelineSpec = JSON.parse(req.query.pipeline || '[]');
+    }
+    catch(err) {
+      return wsUtil.handleError(res, 'invalid pipeline parameter', 400);
+    }
+  }
+  else {
+    pipelineSpec = req.body && req.body.pipeline;
+  }
+
+  aggregateUtil.buildPipeline(req, TargetModel, pipelineSpec)
+  .then(function(pipeline) {
+    return TargetModel.aggregate(pipeline).exec();
+  })
+  .then(
+    function(result) {
+      res.json({result:result});
+    },
+    wsUtil.handleError.bind(null, res)
+  );
+};
+
 // Get a single BO
 controller.get = function(req, res) {
   var className = req.params.className;
   var id = req.params.id;
   // console.log("WS get %s $s", className, id);
 
-  var fields;
-  if(req.query.select) {
-    try {
-      fields = JSON.parse(req.query.select);
-    } catch(e) {console.log(e)}
-  }
+  var fields = wsUtil.parseJsonParam(req, 'select');
 
 
   var TargetModel = db[className];
@@ -320,6 +481,9 @@ controller.get = function(req, res) {
       queryObj.$useContext = {currentUser:currUser};
     }
 
+    //Anything other than the full object gets a weak ETag
+    var partial = !!(fields || dacProj || req.query.expand);
+
     if(dacProj) {
       if(fields)
         _.assign(fields, dacProj);
@@ -327,12 +491,30 @@ controller.get = function(req, res) {
         fields=dacProj;
     }
     cleanupProjection(fields);
+    if(fields && _.some(fields, function(v) { return v !== 0; })) {
+      fields.__ver = 1; //(inclusion projection; need __ver for the ETag)
+    }
     
     
     TargetModel.findOne(queryObj, fields, function(err, result){
       if(err) { return wsUtil.handleError(res, err); }
       if(!result) { return wsUtil.handleError(res, className+" "+id+" not found", 404); }
-      return res.json({result:result});
+
+      if(result.__ver) {
+        res.set('ETag', etag.etagFor(result.__ver, partial));
+        if(etag.notModified(req, result.__ver)) {
+          return res.status(304).end();
+        }
+      }
+
+      if(!req.query.expand) { return res.json({result:result}); }
+
+      expandUtil.expand(req, TargetModel, result, req.query.expand).then(
+        function(expanded) {
+          res.json({result:expanded});
+        },
+        wsUtil.handleError.bind(null, res)
+      );
     });
 
   },
@@ -345,6 +527,335 @@ controller.get = function(req, res) {
 
 
 
+
+/**
+ * Performs the DAC-checked update of a single object:
+ *  fetches the existing record (if it passes the update DAC condition), calls applyChanges(result, dacProj)
+ *  to modify it, then saves and sends the response.
+ *  applyChanges may throw (or return a rejected promise) to reject the update; the Error's status is used for the response.
+ *  Optional describeResult(saveResult) returns (a promise of) extra properties for the response body.
+**/
+var updateSingle = function(req, res, TargetModel, id, applyChanges, describeResult) {
+  //auth.aggregateUpdateDacs(req, TargetModel).then(function(dacObj){
+  Q.all([
+      auth.getCurrentUser(req),
+      auth.aggregateUpdateDacs(req, TargetModel)
+  ])
+  .then(function(resultArr){
+    var currUser = resultArr[0].toPlainObject();
+    var dacObj = resultArr[1];
+
+    var dacCond = dacObj.condition;
+    var dacProj = dacObj.fieldRestrictions;
+
+    //DAC Update requirments:
+    // 1. the existing record conforms to the "condition" specified by the DAC
+    // 2. no fields are updated that "field restrictions" forbid
+    var queryObj = {_id:id};
+
+    //Append the DAC condition to the query
+    if(dacCond) {
+      queryObj = {$and:[queryObj, dacCond]};
+      queryObj.$useContext = {currentUser:currUser};
+    }
+
+    TargetModel.findOne(queryObj, null, function(err, result) {
+      if(err) { return wsUtil.handleError(res, err); }
+
+      //(If-Match fails when there's no current object, too)
+      if(etag.preconditionFails(req, result && result.__ver)) {
+        return etag.sendPreconditionFailed(res, result && result.__ver);
+      }
+      if(!result) { return wsUtil.handleError(res, "Not authorized to update", 401); }
+
+      //We've got the existing record, which passes the DAC conditions.
+      Q.fcall(applyChanges, result, dacProj).then(
+        function() {
+          return result.save({currentUser:currUser, origin:wsUtil.requestOrigin(req)}, null).then(function (saveResult) {
+            delete saveResult._current_user;
+            return Q(describeResult ? describeResult(saveResult) : null).then(function(extra) {
+              res.set('ETag', etag.etagFor(saveResult.__ver));
+              return res.json(_.assign({result:saveResult, nModified:1}, extra));
+            });
+          },
+          function(err) {
+            if(etag.hasIfMatch(req) && err && err.message === '$version-mismatch-error') {
+              //Modified between our check and the save
+              return TargetModel.findOne({_id:id}, {__ver:1}).exec().then(function(current) {
+                etag.sendPreconditionFailed(res, current && current.__ver);
+              });
+            }
+            return wsUtil.handleError(res, err);
+          })
+          .then(null, wsUtil.handleError.bind(null, res));
+        },
+        function(err) {
+          wsUtil.handleError(res, err, 400);
+        }
+      );
+
+    });
+
+  },
+  function(err) {
+    //AggregateXyzDacs rejected promise indicates auth failure
+    wsUtil.handleError(res, err, 401);
+  });
+};
+
+
+
+/**
+ * Element matcher for $pull: a value, a {field:value} condition on object elements,
+ *  or an operator condition ({$in:[...]}, {$gte:n}, ...) on the element itself
+**/
+var PULL_OPS = {
+  $eq:function(a, b) { return _.isEqual(a, b); },
+  $ne:function(a, b) { return !_.isEqual(a, b); },
+  $gt:function(a, b) { return a > b; },
+  $gte:function(a, b) { return a >= b; },
+  $lt:function(a, b) { return a < b; },
+  $lte:function(a, b) { return a <= b; },
+  $in:function(a, b) { return _.some(b, _.isEqual.bind(null, a)); },
+  $nin:function(a, b) { return !_.some(b, _.isEqual.bind(null, a)); }
+};
+var pullMatcher = function(cond) {
+  if(!_.isPlainObject(cond))
+    return function(elem) { return _.isEqual(elem, cond); };
+
+  var keys = Object.keys(cond);
+  if(keys.length && _.every(keys, function(k) { return k.indexOf('$') === 0; })) {
+    _.forEach(keys, function(k) {
+      if(!PULL_OPS[k])
+        throw 'unsupported $pull operator '+k;
+    });
+    return function(elem) {
+      return _.every(cond, function(operand, k) { return PULL_OPS[k](elem, operand); });
+    };
+  }
+  return function(elem) { return elem && typeof elem === 'object' && _.isMatch(elem, cond); };
+};
+
+var toArray = function(value) {
+  return Array.isArray(value) ? value.slice() : (value === undefined || value === null ? [] : [value]);
+};
+var eachOf = function(value) {
+  return _.isPlainObject(value) && value.$each ? value.$each : [value];
+};
+
+/**
+ * Update operators for batch updates, applied to each object in turn: fn(currentValue, operand) -> new value
+**/
+var UPDATE_OPS = {
+  $set:function(cur, v) { return v; },
+  $inc:function(cur, v) {
+    if(typeof v !== 'number') throw '$inc requires a number';
+    return (+cur || 0) + v;
+  },
+  $mul:function(cur, v) {
+    if(typeof v !== 'number') throw '$mul requires a number';
+    return (+cur || 0) * v;
+  },
+  $min:function(cur, v) { return (cur === undefined || cur === null || v < cur) ? v : cur; },
+  $max:function(cur, v) { return (cur === undefined || cur === null || v > cur) ? v : cur; },
+  $currentDate:function() { return new Date(); },
+  $push:function(cur, v) {
+    var arr = toArray(cur);
+    var items = eachOf(v);
+    if(_.isPlainObject(v) && v.$position !== undefined)
+      Array.prototype.splice.apply(arr, [v.$position, 0].concat(items));
+    else
+      arr = arr.concat(items);
+    if(_.isPlainObject(v) && typeof v.$slice === 'number')
+      arr = v.$slice < 0 ? arr.slice(v.$slice) : arr.slice(0, v.$slice);
+    return arr;
+  },
+  $addToSet:function(cur, v) {
+    var arr = toArray(cur);
+    _.forEach(eachOf(v), function(item) {
+      if(!_.some(arr, _.isEqual.bind(null, item)))
+        arr.push(item);
+    });
+    return arr;
+  },
+  $pull:function(cur, v) { return _.reject(toArray(cur), pullMatcher(v)); },
+  $pullAll:function(cur, v) {
+    if(!Array.isArray(v)) throw '$pullAll requires an array';
+    return _.reject(toArray(cur), function(elem) { return _.some(v, _.isEqual.bind(null, elem)); });
+  },
+  $pop:function(cur, v) { return v === -1 ? toArray(cur).slice(1) : toArray(cur).slice(0, -1); }
+};
+
+/**
+ * Parse the body of a batch update into {ops:[{op, path, value}], stripped:bool}.
+ *  Accepts plain field values as well as update operators ($set, $unset, $inc, $push, $pull, $addToSet, $rename, ...;
+ *  dotted paths allowed), which are applied to each matching object so it goes through the regular save pipeline.
+ *  Paths into fields forbidden by dacProj are dropped.
+**/
+var parseUpdateSpec = function(updateObj, dacProj) {
+  var result = {ops:[], stripped:false};
+
+  var isAllowed = function(path) {
+    var f = path.split('.')[0];
+    if(dacProj && dacProj[f] == 0) {
+      result.stripped = true;
+      return false;
+    }
+    return f !== '_id';
+  };
+
+  _.forEach(updateObj, function(v, k) {
+    if(k === '$setOnInsert') {
+      return; //(batch updates never insert)
+    }
+    else if(k === '$unset' || k === '$rename' || UPDATE_OPS[k]) {
+      if(!_.isPlainObject(v))
+        throw k+' requires an object';
+      _.forEach(v, function(operand, path) {
+        if(!isAllowed(path))
+          return;
+        if(k === '$unset') {
+          result.ops.push({op:'$unset', path:path});
+        }
+        else if(k === '$rename') {
+          if(typeof operand !== 'string')
+            throw '$rename requires a field name';
+          if(isAllowed(operand))
+            result.ops.push({op:'$rename', path:path, value:operand});
+        }
+        else {
+          UPDATE_OPS[k](undefined, operand); //(dry run: throws on a bad operand)
+          result.ops.push({op:k, path:path, value:operand});
+        }
+      });
+    }
+    else if(k.indexOf('$') === 0) {
+      throw 'unsupported update operator '+k;
+    }
+    else if(isAllowed(k)) {
+      result.ops.push({op:'$set', path:k, value:v});
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Apply a parsed update spec to a model object; dotted paths modify within the top-level field's value
+**/
+var applyUpdateSpec = function(modelObj, updateSpec) {
+  var plain = modelObj.toPlainObject();
+  var changed = {};
+
+  var getPath = function(path) {
+    var dotPos = path.indexOf('.');
+    var f = dotPos === -1 ? path : path.substring(0, dotPos);
+    var value = changed.hasOwnProperty(f) ? changed[f] : plain[f];
+    return dotPos === -1 ? value : _.get(value, path.substring(dotPos+1));
+  };
+
+  var applyPath = function(path, value, isUnset) {
+    var dotPos = path.indexOf('.');
+    if(dotPos === -1) {
+      changed[path] = isUnset ? undefined : value;
+      return;
+    }
+
+    var f = path.substring(0, dotPos);
+    var subPath = path.substring(dotPos+1);
+    if(!changed.hasOwnProperty(f)) {
+      changed[f] = _.cloneDeep(plain[f]) || {};
+    }
+
+    if(!isUnset) {
+      _.set(changed[f], subPath, value);
+    }
+    else {
+      var lastDot = subPath.lastIndexOf('.');
+      var parent = lastDot === -1 ? changed[f] : _.get(changed[f], subPath.substring(0, lastDot));
+      if(parent && typeof parent === 'object')
+        delete parent[subPath.substring(lastDot+1)];
+    }
+  };
+
+  _.forEach(updateSpec.ops, function(u) {
+    if(u.op === '$unset') {
+      applyPath(u.path, null, true);
+    }
+    else if(u.op === '$rename') {
+      var value = _.cloneDeep(getPath(u.path));
+      applyPath(u.path, null, true);
+      applyPath(u.value, value, false);
+    }
+    else {
+      applyPath(u.path, UPDATE_OPS[u.op](_.cloneDeep(getPath(u.path)), u.value), false);
+    }
+  });
+
+  _.forEach(changed, function(v, f) {
+    modelObj[f] = v;
+    modelObj.markModified(f);
+  });
+};
+
+/**
+ * Runs fn(modelObj) against each object matching queryObj, one object at a time.
+ *  Matching ids are streamed; each object is then fetched in full so fn can save() or remove() it
+ *  through the regular mongoose_intercept pipeline.
+ * @return promise resolving to a per-record report: [{_id, success, error}]
+**/
+var forEachMatch = function(TargetModel, queryObj, fn) {
+  var report = [];
+  var seen = {}; //(an updated object may re-appear in the cursor)
+
+  return TargetModel.find(queryObj, {_id:1}).lean().cursor().eachAsync(function(stub) {
+    var id = stub._id;
+    if(seen[id])
+      return;
+    seen[id] = true;
+
+    return TargetModel.findOne({_id:id}).exec()
+      .then(function(modelObj) {
+        if(!modelObj)
+          throw '$not_found'; //removed after matching
+        return fn(modelObj);
+      })
+      .then(
+        function() {
+          report.push({_id:id, success:true});
+        },
+        function(err) {
+          console.error('batch operation failed on %s.%s: %s', TargetModel._bo_meta_data.class_name, id, err);
+          var entry = {_id:id, success:false, error:(err instanceof Error ? err.message : ''+err)};
+          if(err && err.fieldErrors)
+            entry.fieldErrors = err.fieldErrors;
+          report.push(entry);
+        }
+      );
+  })
+  .then(function() {
+    return report;
+  });
+};
+
+/**
+ * Response body for a batch operation
+**/
+var batchResponse = function(report, countKey) {
+  var nFailed = _.filter(report, 'success', false).length;
+  var nSucceeded = report.length - nFailed;
+
+  var result = {
+    result:(nFailed === 0 ? 'success' : (nSucceeded ? 'partial' : 'failure')),
+    nMatched:report.length,
+    nFailed:nFailed,
+    records:report
+  };
+  result[countKey] = nSucceeded;
+  return result;
+};
+
+
 //Save: insert or update a single item, or batch update multiple according to criteria
 controller.save = function(req, res) {
   //console.log("SAVE: %j", req.body);
@@ -356,68 +867,22 @@ controller.save = function(req, res) {
     delete req.body._id;
   }
 
-  var conditions;
-  if(req.query.where) {
-    conditions = JSON.parse(req.query.where); //May throw exception
-  }
-
   var TargetModel = db[className];
 
+  var conditions = wsUtil.parseWhereParam(req, TargetModel);
+
   if(id) {
     /*
       *** Single-item update ***
     */
-    //auth.aggregateUpdateDacs(req, TargetModel).then(function(dacObj){
-    Q.all([
-        auth.getCurrentUser(req),
-        auth.aggregateUpdateDacs(req, TargetModel)
-    ])
-    .then(function(resultArr){
-      var currUser = resultArr[0].toPlainObject();
-      var dacObj = resultArr[1];
-    
-      var dacCond = dacObj.condition;
-      var dacProj = dacObj.fieldRestrictions;
-
-      //DAC Update requirments:
-      // 1. the existing record conforms to the "condition" specified by the DAC
-      // 2. no fields are updated that "field restrictions" forbid
-      var queryObj = {_id:id};
-
-      //Append the DAC condition to the query
-      if(dacCond) {
-        queryObj = {$and:[queryObj, dacCond]};
-        queryObj.$useContext = {currentUser:currUser};
-      }
-      
-      TargetModel.findOne(queryObj, null, function(err, result) {
-        if(err) { return wsUtil.handleError(res, err); }
-        if(!result) { return wsUtil.handleError(res, "Not authorized to update", 401); }
-
-        //We've got the existing record, which passes the DAC conditions.
-
-        //Now, just strip out any forbidden fields, apply changes to the existing record, and commit the update.
-        var newObj = req.body;
-        if(dacProj)
-          if(stripForbiddenFields(dacProj, newObj))
-            console.log('WARNING: attempted to update restricted field: user %s, record %s %s', req.user._id, className, id);
-
-        _.assign(result, newObj); //Apply fields from newObj atop result
-        
-        return result.save({currentUser:currUser}, null).then(function (saveResult) {
-          delete saveResult._current_user;
-          return res.json({result:saveResult, nModified:1});
-        },
-        function(err) {
-          return wsUtil.handleError(res, err);
-        });
-
-      });
+    updateSingle(req, res, TargetModel, id, function(result, dacProj) {
+      //Strip out any forbidden fields, and apply changes to the existing record
+      var newObj = req.body;
+      if(dacProj)
+        if(stripForbiddenFields(dacProj, newObj))
+          console.log('WARNING: attempted to update restricted field: user %s, record %s %s', req.user._id, className, id);
 
-    },
-    function(err) {
-      //AggregateXyzDacs rejected promise indicates auth failure
-      wsUtil.handleError(res, err, 401);
+      _.assign(result, newObj); //Apply fields from newObj atop result
     });
   }
   else if(conditions) {
@@ -445,21 +910,27 @@ controller.save = function(req, res) {
         queryObj = conditions;
       }
 
-      var updateObj = req.body;
-      if(dacProj)
-        if(stripForbiddenFields(dacProj, updateObj))
-          console.log('WARNING: attempted to update restricted field: user %s, record %s %s', req.user._id, className, id);
-    
-      
-      
-      //TODO: mongoose batch update is not yet wrapped; therefore no data triggers or noonianContext
-      
-      TargetModel.update(queryObj, updateObj, {multi:true}, function(err, result) {
-        if(err)
-          return wsUtil.handleError(res, err);
-        result.result="success";
-        return res.json(result);
-      });
+      queryObj.$useContext = {currentUser:currUser};
+
+      var updateSpec;
+      try {
+        updateSpec = parseUpdateSpec(req.body, dacProj);
+      }
+      catch(err) {
+        return wsUtil.handleError(res, err, 400);
+      }
+      if(updateSpec.stripped)
+        console.log('WARNING: attempted to update restricted field: user %s, record %s %j', req.user._id, className, conditions);
+
+      //Each object is updated individually so it goes through the full save pipeline (DataTriggers, __ver, references)
+      forEachMatch(TargetModel, queryObj, function(modelObj) {
+        applyUpdateSpec(modelObj, updateSpec);
+        return modelObj.save({currentUser:currUser, origin:wsUtil.requestOrigin(req)}, null);
+      })
+      .then(function(report) {
+        return res.json(batchResponse(report, 'nModified'));
+      },
+      wsUtil.handleError.bind(null, res));
 
     },
     function(err) {
@@ -497,7 +968,7 @@ controller.save = function(req, res) {
 
       if(auth.checkCondition(dacCond, newModelObj)) {
         
-        return newModelObj.save({currentUser:currUser}, null).then(function(saveResult) {
+        return newModelObj.save({currentUser:currUser, origin:wsUtil.requestOrigin(req)}, null).then(function(saveResult) {
           
           delete saveResult._current_user;
           //Respond with the inserted object as the result
@@ -520,19 +991,100 @@ controller.save = function(req, res) {
 
 
 
+/**
+ * Apply a list of operations as a unit; see batch.js for the body format.
+ *  On failure, responds w/ the index of the failed operation and any errors encountered undoing the others.
+**/
+controller.batch = function(req, res) {
+  batch.execute(req, req.body && req.body.operations).then(
+    function(results) {
+      res.json({result:'success', operations:results});
+    },
+    function(err) {
+      var message = err instanceof Error ? err.message : ''+err;
+      console.error(message);
+      res.status(err.status || 500).json({
+        error:message,
+        operationIndex:err.operationIndex,
+        problems:err.problems,
+        fieldErrors:err.fieldErrors,
+        rolledBack:!!(err.undoErrors && !err.undoErrors.length),
+        undoErrors:err.undoErrors
+      });
+    }
+  );
+};
+
+
+/**
+ * Patch a single item.  Body is either
+ *  - a JSON Patch (RFC 6902) operation array; Content-Type application/json-patch+json, or
+ *  - a JSON Merge Patch (RFC 7396) document; Content-Type application/merge-patch+json (or application/json)
+ * Patch paths are applied against the stored object, so nested composite/array values are modified in place
+ *  rather than replaced wholesale.  Include __ver in the patch (e.g. a "test" op or merge key) to have
+ *  the save rejected when the object has changed in the meantime.
+**/
+controller.patch = function(req, res) {
+  var className = req.params.className;
+  var id = req.params.id;
+  var patchDoc = req.body;
+
+  var isJsonPatch = Array.isArray(patchDoc) || !!req.is('application/json-patch+json');
+
+  updateSingle(req, res, db[className], id, function(result, dacProj) {
+    var current = result.toPlainObject();
+    var patched;
+
+    if(isJsonPatch) {
+      //Drop any operations touching forbidden fields
+      var allowedOps = _.filter(patchDoc, function(op) {
+        var forbidden = _.some(patchUtil.touchedFields(op), function(f) {
+          return dacProj && dacProj[f] == 0;
+        });
+        if(forbidden)
+          console.log('WARNING: attempted to patch restricted field: user %s, record %s %s', req.user._id, className, id);
+        return !forbidden;
+      });
+      patched = patchUtil.applyJsonPatch(current, allowedOps);
+    }
+    else {
+      if(dacProj && patchDoc)
+        if(stripForbiddenFields(dacProj, patchDoc))
+          console.log('WARNING: attempted to patch restricted field: user %s, record %s %s', req.user._id, className, id);
+      patched = patchUtil.applyMergePatch(current, patchDoc);
+    }
+
+    if(!patched || typeof patched !== 'object' || Array.isArray(patched)) {
+      throw patchUtil.invalidResult();
+    }
+
+    //Copy modified fields onto the model object
+    _.forEach(_.union(Object.keys(current), Object.keys(patched)), function(f) {
+      if(_.isEqual(current[f], patched[f]))
+        return;
+      if(f === '_id')
+        throw patchUtil.invalidResult('_id cannot be patched');
+      if(f.indexOf('_') === 0 && f !== '__ver')
+        return; //system/virtual fields are not patchable
+      if(dacProj && dacProj[f] == 0)
+        return; //(whole-document ops can reach restricted fields)
+
+      result[f] = patched[f];
+      result.markModified(f);
+    });
+  });
+};
+
+
 //Remove: either a single by ID or batch based on criteria.
 controller.remove = function(req, res) {
   //console.log("REMOVE: %j", req.params);
   var className = req.params.className;
   var id = req.params.id;
-  var conditions;
-
-  if(req.query.where) {
-    conditions = JSON.parse(req.query.where);
-  }
-
   var TargetModel = db[className];
 
+  var conditions = wsUtil.parseWhereParam(req, TargetModel);
+
   if(id) {
     conditions = {_id:id};
   }
@@ -560,10 +1112,47 @@ controller.remove = function(req, res) {
     
     queryObj.$useContext = {currentUser:currUser};
 
-    TargetModel.remove(queryObj, function(err, result) {
-      if(err) { return wsUtil.handleError(res, err); }
-      return res.json({result:"success", nRemoved:result.length}); //TODO if result.length=0, is it success?
-    });
+    var context = {currentUser:currUser, origin:wsUtil.requestOrigin(req)};
+
+    var precheck = Q(true);
+    if(id && etag.hasIfMatch(req)) {
+      var checkQuery = dacCond ? {$and:[{_id:id}, _.cloneDeep(dacCond)], $useContext:{currentUser:currUser}} : {_id:id};
+      precheck = TargetModel.findOne(checkQuery, {__ver:1}).exec().then(function(current) {
+        if(etag.preconditionFails(req, current && current.__ver)) {
+          etag.sendPreconditionFailed(res, current && current.__ver);
+          return false;
+        }
+        return true;
+      });
+    }
+
+    precheck.then(function(proceed) {
+      if(!proceed)
+        return;
+
+      //Single object: same response as Model.remove, i.e. nRemoved:0 if not found; failure is an error
+      if(id) {
+        return TargetModel.find(queryObj, {_id:1}).exec().then(function(results) {
+          return Q.all(_.map(results, function(modelObj) {
+            modelObj[Symbol.for('context')] = context;
+            return modelObj.remove();
+          }));
+        })
+        .then(function(result) {
+          res.json({result:"success", nRemoved:result.length});
+        });
+      }
+
+      //Each object is removed individually so its DataTriggers run and failures are reported per record
+      return forEachMatch(TargetModel, queryObj, function(modelObj) {
+        modelObj[Symbol.for('context')] = context;
+        return modelObj.remove();
+      })
+      .then(function(report) {
+        return res.json(batchResponse(report, 'nRemoved'));
+      });
+    })
+    .then(null, wsUtil.handleError.bind(null, res));
 
   },
   function(err) {
@@ -572,3 +1161,447 @@ controller.remove = function(req, res) {
   });
 
 };
+
+
+/**
+ * Classes w/ _soft_delete keep removed objects in a trash:
+ *  GET /db/:className/_trash lists them (subject to read DACs); 
+ *  restore and purge are subject to delete DACs.
+**/
+var getSoftDeleteModel = function(res, className) {
+  var TargetModel = db[className];
+  if(!TargetModel || !TargetModel._bo_meta_data) {
+    wsUtil.handleError(res, 'invalid class '+className, 404);
+    return null;
+  }
+  if(!TargetModel._bo_meta_data.type_desc_map._soft_delete) {
+    wsUtil.handleError(res, className+' does not support soft delete', 400);
+    return null;
+  }
+  return TargetModel;
+};
+
+controller.trash = function(req, res) {
+  var TargetModel = getSoftDeleteModel(res, req.params.className);
+  if(!TargetModel)
+    return;
+
+  var limit = req.query.limit !== undefined ? +req.query.limit : DEFAULT_CURSOR_LIMIT;
+  var skip = req.query.skip !== undefined ? +req.query.skip : 0;
+
+  Q.all([
+    auth.getCurrentUser(req),
+    auth.aggregateReadDacs(req, TargetModel)
+  ])
+  .then(function(resultArr) {
+    var currUser = resultArr[0].toPlainObject();
+    var dacObj = resultArr[1];
+
+    var queryObj = {__deleted:{$ne:null}};
+    if(dacObj.condition) {
+      queryObj.$and = [_.cloneDeep(dacObj.condition)];
+    }
+    queryObj.$useContext = {currentUser:currUser};
+
+    var countQuery = _.cloneDeep(queryObj);
+
+    return Q.all([
+      TargetModel.count(countQuery).exec(),
+      TargetModel.find(queryObj, dacObj.fieldRestrictions || null).sort({'__deleted.date':-1}).skip(skip).limit(limit).exec()
+    ])
+    .then(function(resultArr) {
+      res.json({
+        nMatched:resultArr[0],
+        result:_.map(resultArr[1], function(modelObj) {
+          //(incoming_refs are for restore(); they name objects of other classes the user may not be able to read)
+          var obj = modelObj.toPlainObject();
+          if(obj.__deleted)
+            delete obj.__deleted.incoming_refs;
+          return obj;
+        })
+      });
+    },
+    wsUtil.handleError.bind(null, res));
+  },
+  function(err) {
+    wsUtil.handleError(res, err, 401);
+  });
+};
+
+/**
+ * @return promise resolving to the trashed object w/ id that the requesting user may delete, 
+ *  or rejecting w/ a status-bearing Error
+**/
+var findTrashed = function(req, TargetModel, id) {
+  return Q.all([
+    auth.getCurrentUser(req),
+    auth.aggregateDeleteDacs(req, TargetModel).then(null, function(err) {
+      var authErr = new Error(err);
+      authErr.status = 401;
+      throw authErr;
+    })
+  ])
+  .then(function(resultArr) {
+    var currUser = resultArr[0].toPlainObject();
+    var dacCond = resultArr[1].condition;
+
+    var queryObj = {_id:id, __deleted:{$ne:null}};
+    if(dacCond) {
+      queryObj.$and = [_.cloneDeep(dacCond)];
+    }
+    queryObj.$useContext = {currentUser:currUser};
+
+    return TargetModel.findOne(queryObj).exec().then(function(modelObj) {
+      if(!modelObj) {
+        var notFound = new Error('$not_found');
+        notFound.status = 404;
+        throw notFound;
+      }
+      return {modelObj:modelObj, currUser:currUser};
+    });
+  });
+};
+
+controller.restore = function(req, res) {
+  var TargetModel = getSoftDeleteModel(res, req.params.className);
+  if(!TargetModel)
+    return;
+
+  findTrashed(req, TargetModel, req.params.id)
+  .then(function(found) {
+    return found.modelObj.restore({currentUser:found.currUser, origin:wsUtil.requestOrigin(req)});
+  })
+  .then(
+    function(restored) {
+      res.set('ETag', etag.etagFor(restored.__ver));
+      res.json({result:restored.toPlainObject()});
+    },
+    wsUtil.handleError.bind(null, res)
+  );
+};
+
+controller.purge = function(req, res) {
+  var TargetModel = getSoftDeleteModel(res, req.params.className);
+  if(!TargetModel)
+    return;
+
+  findTrashed(req, TargetModel, req.params.id)
+  .then(function(found) {
+    found.modelObj[Symbol.for('context')] = {currentUser:found.currUser};
+    return found.modelObj.purge();
+  })
+  .then(
+    function() {
+      res.json({result:'success', nRemoved:1});
+    },
+    wsUtil.handleError.bind(null, res)
+  );
+};
+
+
+/**
+ * Resolve the read access a user has to an object's audit history:
+ *  the object (current, or last recorded state if deleted) must satisfy the read DAC condition.
+ * @return promise resolving to the read DAC field restrictions, or rejecting w/ a status-bearing Error
+**/
+var checkHistoryAccess = function(req, TargetModel, id) {
+  var notFound = function() {
+    var err = new Error(TargetModel._bo_meta_data.class_name+' '+id+' not found');
+    err.status = 404;
+    return err;
+  };
+
+  return Q.all([
+    auth.getCurrentUser(req),
+    auth.aggregateReadDacs(req, TargetModel).then(null, function(err) {
+      var authErr = new Error(err);
+      authErr.status = 401;
+      throw authErr;
+    })
+  ])
+  .then(function(resultArr) {
+    var currUser = resultArr[0].toPlainObject();
+    var dacObj = resultArr[1];
+    if(!dacObj.condition)
+      return dacObj.fieldRestrictions;
+
+    var dacCond = _.cloneDeep(dacObj.condition);
+    db._svc.QueryOpService.applyNoonianContext(dacCond, {currentUser:currUser});
+
+    return TargetModel.findOne(db.includeDeleted({_id:id})).exec().then(function(current) {
+      if(current) {
+        if(!current.satisfiesCondition(dacCond))
+          throw notFound();
+        return dacObj.fieldRestrictions;
+      }
+      return db._svc.AuditService.getLastSnapshot(TargetModel._bo_meta_data.class_name, id).then(function(snapshot) {
+        if(!snapshot || !db._svc.QueryOpService.satisfiesCondition(snapshot, dacCond))
+          throw notFound();
+        return dacObj.fieldRestrictions;
+      });
+    });
+  });
+};
+
+/**
+ * Apply read DAC field restrictions to a plain object (or a delta keyed by field name)
+**/
+var restrictFields = function(obj, dacProj) {
+  if(!obj || !dacProj)
+    return obj;
+  var inclusion = _.some(dacProj, function(v) { return v !== 0; });
+  _.forEach(Object.keys(obj), function(f) {
+    if(f === '_id' || f === '__ver')
+      return;
+    if(inclusion ? !dacProj[f] : dacProj[f] === 0)
+      delete obj[f];
+  });
+  return obj;
+};
+
+var parseDateParam = function(req, paramName) {
+  var str = req.query[paramName];
+  if(str === undefined || str === '')
+    return undefined;
+  var d = new Date(str);
+  if(isNaN(d.getTime()))
+    throw wsUtil.invalidQueryError([{path:paramName, message:'invalid date: '+str}]);
+  return d;
+};
+
+/**
+ * Audit trail for an object, most recent first: [{timestamp, action, version, user, origin, delta, snapshot}]
+ *  (?since=, ?until= ISO dates; ?limit, ?skip)
+**/
+controller.history = function(req, res) {
+  var className = req.params.className;
+  var id = req.params.id;
+  var TargetModel = db[className];
+  if(!TargetModel || !TargetModel._bo_meta_data) {
+    return wsUtil.handleError(res, 'invalid class '+className, 404);
+  }
+
+  var options = {
+    since:parseDateParam(req, 'since'),
+    until:parseDateParam(req, 'until'),
+    limit:req.query.limit !== undefined ? +req.query.limit : DEFAULT_CURSOR_LIMIT,
+    skip:req.query.skip !== undefined ? +req.query.skip : 0
+  };
+
+  checkHistoryAccess(req, TargetModel, id).then(function(dacProj) {
+    return db._svc.AuditService.getHistory(className, id, options).then(function(entries) {
+      _.forEach(entries, function(entry) {
+        restrictFields(entry.delta, dacProj);
+        restrictFields(entry.snapshot, dacProj);
+      });
+      res.json({result:entries});
+    });
+  })
+  .then(null, wsUtil.handleError.bind(null, res));
+};
+
+/**
+ * Reconstruct an object as of a point in time (?t=<ISO date>)
+**/
+controller.asOf = function(req, res) {
+  var className = req.params.className;
+  var id = req.params.id;
+  var TargetModel = db[className];
+  if(!TargetModel || !TargetModel._bo_meta_data) {
+    return wsUtil.handleError(res, 'invalid class '+className, 404);
+  }
+
+  var asOf = parseDateParam(req, 't');
+  if(!asOf) {
+    return wsUtil.handleError(res, 'missing t parameter', 400);
+  }
+
+  checkHistoryAccess(req, TargetModel, id).then(function(dacProj) {
+    return db._svc.AuditService.getObjectAsOf(className, id, asOf).then(function(state) {
+      if(!state)
+        return wsUtil.handleError(res, className+' '+id+' did not exist at '+asOf.toISOString(), 404);
+      res.json({result:restrictFields(state, dacProj), asOf:asOf});
+    });
+  })
+  .then(null, wsUtil.handleError.bind(null, res));
+};
+
+
+/**
+ * Roll an object back to a prior version, rebuilt from its UpdateLog history:
+ *  body {version:'<__ver>'} or {timestamp:'<ISO date>'}.
+ *  The prior state is saved as a new version (through DataTriggers, subject to update DACs);
+ *  the response lists in danglingRefs any reference fields that now point to objects that no longer exist.
+**/
+controller.rollback = function(req, res) {
+  var className = req.params.className;
+  var id = req.params.id;
+  var TargetModel = db[className];
+  if(!TargetModel || !TargetModel._bo_meta_data) {
+    return wsUtil.handleError(res, 'invalid class '+className, 404);
+  }
+
+  var body = req.body || {};
+  var target = {};
+  if(body.version) {
+    target.version = ''+body.version;
+  }
+  else if(body.timestamp) {
+    target.timestamp = new Date(body.timestamp);
+    if(isNaN(target.timestamp.getTime()))
+      return wsUtil.handleError(res, 'invalid timestamp: '+body.timestamp, 400);
+  }
+  else {
+    return wsUtil.handleError(res, 'version or timestamp required', 400);
+  }
+
+  updateSingle(req, res, TargetModel, id,
+    function(result, dacProj) {
+      return db._svc.PackagingService.buildRevertedState(result, target).then(function(state) {
+        var current = result.toPlainObject();
+        _.forEach(TargetModel._bo_meta_data.type_desc_map, function(td, f) {
+          if(f.indexOf('_') === 0 || _.isEqual(current[f], state[f]))
+            return;
+          if(dacProj && dacProj[f] == 0) {
+            console.log('WARNING: rollback skipping restricted field: user %s, record %s %s field %s', req.user._id, className, id, f);
+            return;
+          }
+          result[f] = state[f];
+          result.markModified(f);
+        });
+      });
+    },
+    function(saveResult) {
+      return db._svc.RefService.findDanglingRefs(saveResult).then(function(danglingRefs) {
+        return {danglingRefs:danglingRefs};
+      });
+    }
+  );
+};
+
+
+//Interval for SSE comment lines that keep idle connections from being dropped by proxies
+var CHANGE_FEED_HEARTBEAT = 30000;
+
+/**
+ * Stream changes to objects of a class as Server-Sent Events ("event: create|update|delete|leave", data: JSON event);
+ *  ?where=... restricts to objects satisfying the condition.  Read DACs are applied to every event.
+**/
+controller.changes = function(req, res) {
+  var className = req.params.className;
+  var TargetModel = db[className];
+  if(!TargetModel || !TargetModel._bo_meta_data) {
+    return wsUtil.handleError(res, 'invalid class '+className, 404);
+  }
+
+  var conditions = wsUtil.parseWhereParam(req, TargetModel);
+
+  Q.all([
+    auth.getCurrentUser(req),
+    auth.aggregateReadDacs(req, TargetModel)
+  ])
+  .then(function(resultArr) {
+    var context = {currentUser:resultArr[0].toPlainObject()};
+    var dacObj = resultArr[1];
+
+    var dacCond = dacObj.condition ? _.cloneDeep(dacObj.condition) : null;
+    if(dacCond)
+      db._svc.QueryOpService.applyNoonianContext(dacCond, context);
+    if(conditions)
+      db._svc.QueryOpService.applyNoonianContext(conditions, context);
+
+    res.writeHead(200, {
+      'Content-Type':'text/event-stream',
+      'Cache-Control':'no-cache',
+      'Connection':'keep-alive',
+      'X-Accel-Buffering':'no'
+    });
+
+    var write = function(chunk) {
+      res.write(chunk);
+      if(res.flush)
+        res.flush(); //(compression middleware would otherwise buffer the stream)
+    };
+
+    write(':connected\n\n');
+
+    var unsubscribe = ChangeFeedService.subscribe(className, {condition:conditions, dacCond:dacCond, dacProj:dacObj.fieldRestrictions}, function(event) {
+      write('event: '+event.type+'\ndata: '+JSON.stringify(event)+'\n\n');
+    });
+
+    var heartbeat = setInterval(function() {
+      write(':\n\n');
+    }, CHANGE_FEED_HEARTBEAT);
+
+    req.on('close', function() {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  },
+  function(err) {
+    //AggregateReadDacs rejected promise indicates auth failure
+    wsUtil.handleError(res, err, 401);
+  });
+};
+
+
+/**
+ * Show how a list query is processed for a user: the query w/ DACs and noonian context applied,
+ *  its canonical AST, the mongo query it lowers to, which indexes that can use, and mongo's plan.
+**/
+controller.explain = function(req, res) {
+  var className = req.params.className;
+  var TargetModel = db[className];
+  if(!TargetModel || !TargetModel._bo_meta_data) {
+    return wsUtil.handleError(res, 'invalid class '+className, 404);
+  }
+  var metaData = TargetModel._bo_meta_data;
+
+  var conditions = wsUtil.parseWhereParam(req, TargetModel) || null;
+  var sort = wsUtil.parseJsonParam(req, 'sort');
+
+  //(explaining as another user: stand-in request for the auth DAC functions)
+  var asReq = req.query.user ? {user:{_id:req.query.user}} : req;
+
+  auth.checkRoles(req, [SYSADMIN_ROLE]).then(
+    function() {
+      return auth.getCurrentUser(asReq).then(function(user) {
+        if(!user) {
+          throw wsUtil.invalidQueryError([{path:'user', message:'unknown user '+req.query.user}]);
+        }
+        return Q.all([user, auth.aggregateReadDacs(asReq, TargetModel)]);
+      })
+      .then(function(resultArr) {
+        var currUser = resultArr[0].toPlainObject();
+        var dacObj = resultArr[1];
+
+        var dacCond = dacObj.condition ? _.cloneDeep(dacObj.condition) : null;
+        var queryObj = dacCond ? (conditions ? {$and:[conditions, dacCond]} : dacCond) : (conditions || {});
+        db._svc.QueryOpService.applyNoonianContext(queryObj, {currentUser:currUser});
+
+        if(metaData.type_desc_map._soft_delete && !queryObj.hasOwnProperty('__deleted')) {
+          queryObj.__deleted = null;
+        }
+
+        var ast = db._svc.QueryOpService.compileQuery(queryObj, metaData);
+        var mongoQuery = db._svc.QueryOpService.lowerQuery(ast, metaData);
+
+        return db._svc.QueryPlanService.explain(TargetModel, mongoQuery, sort).then(function(explained) {
+          var describe = db._svc.QueryPlanService.describeQuery;
+          res.json({result:{
+            query:describe(queryObj),
+            ast:describe(ast),
+            mongoQuery:describe(mongoQuery),
+            fieldRestrictions:dacObj.fieldRestrictions || null,
+            indexReport:explained.indexReport,
+            plan:explained.plan
+          }});
+        });
+      });
+    },
+    function(err) {
+      wsUtil.handleError(res, err, 401);
+    }
+  )
+  .then(null, wsUtil.handleError.bind(null, res));
+};
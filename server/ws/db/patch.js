@@ -0,0 +1,232 @@
+/*
+Copyright (C) 2019  Eugene Lockett  gene@noonian.org
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+/**
+ * patch.js
+ *  Application of patch documents to plain-object representations of business objects:
+ *   - JSON Patch (RFC 6902), content type application/json-patch+json
+ *   - JSON Merge Patch (RFC 7396), content type application/merge-patch+json
+ *  Both operate on (and return) deep copies; the passed-in target is left untouched.
+ **/
+var _ = require('lodash');
+
+
+var patchError = function(message, status) {
+  var err = new Error(message);
+  err.status = status || 400;
+  return err;
+};
+
+/**
+ * Split a JSON pointer (RFC 6901) into its unescaped reference tokens
+ **/
+var parsePointer =
+exports.parsePointer = function(pointer) {
+  if(typeof pointer !== 'string' || (pointer !== '' && pointer.charAt(0) !== '/')) {
+    throw patchError('invalid JSON pointer: '+pointer);
+  }
+  if(pointer === '')
+    return [];
+
+  return _.map(pointer.substring(1).split('/'), function(token) {
+    return token.replace(/~1/g, '/').replace(/~0/g, '~');
+  });
+};
+
+var arrayIndex = function(arr, token, allowEnd) {
+  if(token === '-' && allowEnd)
+    return arr.length;
+
+  if(!/^(0|[1-9][0-9]*)$/.test(token))
+    throw patchError('invalid array index: '+token);
+
+  var idx = +token;
+  if(idx > arr.length || (idx === arr.length && !allowEnd))
+    throw patchError('array index out of bounds: '+token);
+
+  return idx;
+};
+
+/**
+ * Walk to the container holding the last token of path
+ * @return {container, key}
+ **/
+var resolveParent = function(doc, tokens) {
+  var container = doc;
+  for(var i=0; i < tokens.length-1; i++) {
+    var t = tokens[i];
+    if(Array.isArray(container)) {
+      container = container[arrayIndex(container, t, false)];
+    }
+    else if(container && typeof container === 'object' && container.hasOwnProperty(t)) {
+      container = container[t];
+    }
+    else {
+      throw patchError('path not found: /'+tokens.slice(0, i+1).join('/'));
+    }
+
+    if(!container || typeof container !== 'object') {
+      throw patchError('path not found: /'+tokens.slice(0, i+1).join('/'));
+    }
+  }
+  return {container:container, key:tokens[tokens.length-1]};
+};
+
+var getValue = function(doc, tokens) {
+  if(tokens.length === 0)
+    return doc;
+
+  var p = resolveParent(doc, tokens);
+  if(Array.isArray(p.container)) {
+    return p.container[arrayIndex(p.container, p.key, false)];
+  }
+  if(!p.container.hasOwnProperty(p.key)) {
+    throw patchError('path not found: /'+tokens.join('/'));
+  }
+  return p.container[p.key];
+};
+
+var addValue = function(doc, tokens, value) {
+  if(tokens.length === 0)
+    return value;
+
+  var p = resolveParent(doc, tokens);
+  if(Array.isArray(p.container)) {
+    p.container.splice(arrayIndex(p.container, p.key, true), 0, value);
+  }
+  else {
+    p.container[p.key] = value;
+  }
+  return doc;
+};
+
+var removeValue = function(doc, tokens) {
+  if(tokens.length === 0)
+    throw patchError('cannot remove the whole document');
+
+  var p = resolveParent(doc, tokens);
+  if(Array.isArray(p.container)) {
+    p.container.splice(arrayIndex(p.container, p.key, false), 1);
+  }
+  else {
+    if(!p.container.hasOwnProperty(p.key))
+      throw patchError('path not found: /'+tokens.join('/'));
+    delete p.container[p.key];
+  }
+  return doc;
+};
+
+
+/**
+ * Apply a JSON Patch operation list to target.
+ * @throws Error w/ status 400 for a malformed patch, 409 when a "test" operation fails
+ **/
+exports.applyJsonPatch = function(target, operations) {
+  if(!Array.isArray(operations))
+    throw patchError('JSON Patch document must be an array of operations');
+
+  var doc = _.cloneDeep(target);
+
+  _.forEach(operations, function(op) {
+    if(!op || typeof op !== 'object')
+      throw patchError('invalid patch operation');
+
+    var tokens = parsePointer(op.path);
+
+    if((op.op === 'add' || op.op === 'replace' || op.op === 'test') && !op.hasOwnProperty('value'))
+      throw patchError(op.op+' operation missing value');
+
+    switch(op.op) {
+      case 'add':
+        doc = addValue(doc, tokens, _.cloneDeep(op.value));
+        break;
+      case 'remove':
+        doc = removeValue(doc, tokens);
+        break;
+      case 'replace':
+        getValue(doc, tokens); //must exist
+        if(tokens.length === 0) {
+          doc = _.cloneDeep(op.value);
+        }
+        else {
+          doc = addValue(removeValue(doc, tokens), tokens, _.cloneDeep(op.value));
+        }
+        break;
+      case 'move':
+        var fromTokens = parsePointer(op.from);
+        if(op.path.indexOf(op.from+'/') === 0)
+          throw patchError('cannot move a location into one of its children');
+        var moved = getValue(doc, fromTokens);
+        doc = addValue(removeValue(doc, fromTokens), tokens, moved);
+        break;
+      case 'copy':
+        var copied = _.cloneDeep(getValue(doc, parsePointer(op.from)));
+        doc = addValue(doc, tokens, copied);
+        break;
+      case 'test':
+        if(!_.isEqual(getValue(doc, tokens), op.value))
+          throw patchError('test failed at '+op.path, 409);
+        break;
+      default:
+        throw patchError('unknown patch operation: '+op.op);
+    }
+  });
+
+  return doc;
+};
+
+/**
+ * Apply a JSON Merge Patch: objects merge recursively, null deletes, anything else replaces.
+ **/
+var applyMergePatch =
+exports.applyMergePatch = function(target, patch) {
+  if(!patch || typeof patch !== 'object' || Array.isArray(patch))
+    return _.cloneDeep(patch);
+
+  var result = (target && typeof target === 'object' && !Array.isArray(target)) ? _.cloneDeep(target) : {};
+
+  _.forEach(patch, function(value, key) {
+    if(value === null)
+      delete result[key];
+    else
+      result[key] = applyMergePatch(result[key], value);
+  });
+
+  return result;
+};
+
+/**
+ * @return Error for a patch yielding something that can't be saved as the object
+ **/
+exports.invalidResult = function(message) {
+  return patchError(message || 'patch result is not an object', 422);
+};
+
+/**
+ * @return the top-level field names a JSON Patch operation reads or writes
+ **/
+exports.touchedFields = function(op) {
+  var result = [];
+  _.forEach([op && op.path, op && op.from], function(pointer) {
+    if(typeof pointer === 'string') {
+      var tokens = parsePointer(pointer);
+      if(tokens.length)
+        result.push(tokens[0]);
+    }
+  });
+  return result;
+};
@@ -61,10 +61,10 @@ controller.performExport = function(req, res) {
     return wsUtil.handleError(res, 'Missing/invalid required parameter', 404);
   }
 
-  var dbQuery = wsUtil.extractDbQuery(req);
-
   var TargetModel = db[className];
 
+  var dbQuery = wsUtil.extractDbQuery(req, TargetModel);
+
   var dataExportPromise = db.DataExport.findOne({_id:exportId});
 
   var dacPromise = auth.checkReadDacs(req, TargetModel, dbQuery);
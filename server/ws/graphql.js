@@ -0,0 +1,75 @@
+/*
+Copyright (C) 2019  Eugene Lockett  gene@noonian.org
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+/*
+graphql Web Service
+   * GET     /graphql?query=...&variables=...&operationName=...
+   * POST    /graphql   body: {query, variables, operationName}
+  Schema is generated from the BusinessObjectDefs; see api/graphql.js
+*/
+var express = require('express');
+
+var conf = require('../conf');
+var wsUtil = require('./util');
+
+var GraphQLService = require('../api/graphql');
+
+var controller = {};
+
+var wsRoot = conf.urlBase+'/graphql';
+
+/**
+ * init()
+**/
+exports.init = function(app) {
+  GraphQLService.init();
+
+  var router = express.Router();
+
+  router.get('/', wsUtil.wrap(controller.execute));
+  router.post('/', wsUtil.wrap(controller.execute));
+
+  app.use(wsRoot, router);
+};
+
+
+controller.execute = function(req, res) {
+  var params = req.method === 'GET' ? req.query : (req.body || {});
+
+  var variables = params.variables;
+  if(typeof variables === 'string') {
+    try {
+      variables = JSON.parse(variables);
+    }
+    catch(err) {
+      return wsUtil.handleError(res, 'invalid variables', 400);
+    }
+  }
+
+  if(!params.query) {
+    return wsUtil.handleError(res, 'missing query', 400);
+  }
+
+  GraphQLService.execute(req, params.query, variables, params.operationName).then(
+    function(result) {
+      res.json(result);
+    },
+    function(err) {
+      wsUtil.handleError(res, err, 500);
+    }
+  );
+};
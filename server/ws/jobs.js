@@ -0,0 +1,113 @@
+/*
+Copyright (C) 2019  Eugene Lockett  gene@noonian.org
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+/*
+ * Background Job Web Service
+ *  GET  /jobs              jobs, most recent first (?status, ?type; ?limit, ?skip)
+ *  GET  /jobs/:id          status of a job
+ *  POST /jobs/:id/cancel   cancel a job
+ *  Users see only the jobs they enqueued; sysadmins see all.
+ */
+'use strict';
+
+var Q = require('q');
+var express = require('express');
+
+var conf = require('../conf');
+var wsUtil = require('./util');
+
+var auth = require('../api/auth');
+var JobService = require('../api/jobs');
+
+var controller = {};
+
+var wsRoot = conf.urlBase+'/jobs';
+
+var DEFAULT_LIMIT = 100;
+
+/**
+ * init()
+**/
+exports.init = function(app) {
+  var router = express.Router();
+
+  router.get('/', wsUtil.wrap(controller.listJobs));
+  router.get('/:id', wsUtil.wrap(controller.getJob));
+  router.post('/:id/cancel', wsUtil.wrap(controller.cancelJob));
+
+  app.use(wsRoot, router);
+};
+
+
+/**
+ * @return promise resolving to the current user's id, or null if they're a sysadmin (i.e. may see any job)
+ **/
+var getJobOwnerFilter = function(req) {
+  return auth.getCurrentUser(req).then(function(user) {
+    return auth.checkRolesForUser(user, ['FnQ_eBYITOSC8kJA4Zul5g']) ? null : user._id;
+  });
+};
+
+/**
+ * @return promise resolving to the job status, if the current user can see it
+ **/
+var getVisibleJob = function(req, id) {
+  return Q.all([getJobOwnerFilter(req), JobService.getJob(id)]).then(function(resultArr) {
+    var userId = resultArr[0];
+    var job = resultArr[1];
+    if(!job || (userId && (!job.user || job.user._id !== userId))) {
+      var err = new Error('job '+id+' not found');
+      err.status = 404;
+      throw err;
+    }
+    return job;
+  });
+};
+
+
+controller.listJobs = function(req, res) {
+  getJobOwnerFilter(req).then(function(userId) {
+    return JobService.listJobs({
+      status:req.query.status,
+      type:req.query.type,
+      userId:userId,
+      limit:req.query.limit !== undefined ? +req.query.limit : DEFAULT_LIMIT,
+      skip:req.query.skip !== undefined ? +req.query.skip : 0
+    });
+  })
+  .then(function(jobs) {
+    res.json({result:jobs});
+  })
+  .then(null, wsUtil.handleError.bind(null, res));
+};
+
+controller.getJob = function(req, res) {
+  getVisibleJob(req, req.params.id).then(function(job) {
+    res.json({result:job});
+  })
+  .then(null, wsUtil.handleError.bind(null, res));
+};
+
+controller.cancelJob = function(req, res) {
+  var id = req.params.id;
+  getVisibleJob(req, id).then(function() {
+    return JobService.cancel(id);
+  })
+  .then(function(job) {
+    res.json({result:job});
+  })
+  .then(null, wsUtil.handleError.bind(null, res));
+};
@@ -0,0 +1,57 @@
+/*
+Copyright (C) 2019  Eugene Lockett  gene@noonian.org
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+/*
+OpenAPI Web Service
+   * GET     /openapi.json               ->  OpenAPI 3 document for the /db, /ws and /export services
+       (?forUser=true restricts it to the classes and WebServices the requesting user can reach)
+*/
+var express = require('express');
+
+var conf = require('../conf');
+var wsUtil = require('./util');
+
+var OpenApiService = require('../api/openapi');
+
+var controller = {};
+
+/**
+ * init()
+**/
+exports.init = function(app) {
+  OpenApiService.init();
+
+  var router = express.Router();
+
+  router.get('/openapi.json', wsUtil.wrap(controller.getDocument));
+
+  app.use(conf.urlBase || '/', router);
+};
+
+
+controller.getDocument = function(req, res) {
+  var forUser = req.query.forUser === 'true';
+
+  OpenApiService.getDocument(req, forUser).then(
+    function(doc) {
+      res.json(doc);
+    },
+    function(err) {
+      wsUtil.handleError(res, err, 500);
+    }
+  );
+};
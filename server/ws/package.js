@@ -28,6 +28,8 @@ var wsUtil = require('./util');
 
 
 var db = require('../api/datasource');
+var auth = require('../api/auth');
+var JobService = require('../api/jobs');
 var GridFsService = require('../api/datasource/gridfs');
 var PackagingService = require('../api/datasource/packaging');
 
@@ -64,11 +66,17 @@ controller.createUpgrade = function(req, res) {
   );
 };
 
+/**
+ *  Installs in the background; responds w/ the id of the job (see /jobs)
+**/
 controller.applyPackage = function(req, res) {
   var bopId = req.query.id;
 
-  PackagingService.applyPackage(bopId).then(function(result) {
-    res.json({message:'applied package '+result});
+  auth.getCurrentUser(req).then(function(user) {
+    return JobService.enqueue('sys.applyPackage', {id:bopId}, {user:user});
+  })
+  .then(function(jobId) {
+    res.status(202).json({message:'queued package install', job:jobId});
   },
 
   wsUtil.handleError.bind(null, res)
@@ -0,0 +1,155 @@
+/*
+Copyright (C) 2019  Eugene Lockett  gene@noonian.org
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+/*
+ * ScheduleTrigger Web Service
+ *  GET  /schedule/:id/runs   run history of a ScheduleTrigger (?since=, ?until= ISO dates; ?outcome; ?limit, ?skip)
+ *  POST /schedule/:id/run    run it now; responds w/ the run record once finished
+ */
+'use strict';
+
+var Q = require('q');
+var _ = require('lodash');
+var express = require('express');
+
+var conf = require('../conf');
+var wsUtil = require('./util');
+
+var db = require('../api/datasource');
+var auth = require('../api/auth');
+var ScheduleService = require('../api/schedule');
+
+var controller = {};
+
+var wsRoot = conf.urlBase+'/schedule';
+
+var DEFAULT_LIMIT = 100;
+
+var SYSADMIN_ROLE = 'FnQ_eBYITOSC8kJA4Zul5g';
+
+/**
+ * init()
+**/
+exports.init = function(app) {
+  var router = express.Router();
+
+  router.get('/:id/runs', wsUtil.wrap(controller.listRuns));
+  router.post('/:id/run', wsUtil.wrap(controller.runNow));
+
+  app.use(wsRoot, router);
+};
+
+
+/**
+ * Check the requesting user can read the ScheduleTrigger
+ * @return promise resolving to the ScheduleTrigger
+ **/
+var getReadableTrigger = function(req, id) {
+  var notFound = function() {
+    var err = new Error('ScheduleTrigger '+id+' not found');
+    err.status = 404;
+    return err;
+  };
+
+  return Q.all([
+    auth.getCurrentUser(req),
+    auth.aggregateReadDacs(req, db.ScheduleTrigger).then(null, function(err) {
+      var authErr = new Error(err);
+      authErr.status = 401;
+      throw authErr;
+    }),
+    db.ScheduleTrigger.findOne({_id:id}).exec()
+  ])
+  .then(function(resultArr) {
+    var currUser = resultArr[0];
+    var dacObj = resultArr[1];
+    var st = resultArr[2];
+    if(!currUser) {
+      var authErr = new Error('not logged in');
+      authErr.status = 401;
+      throw authErr;
+    }
+    if(!st)
+      throw notFound();
+
+    if(dacObj.condition) {
+      var dacCond = _.cloneDeep(dacObj.condition);
+      db._svc.QueryOpService.applyNoonianContext(dacCond, {currentUser:currUser.toPlainObject()});
+      if(!st.satisfiesCondition(dacCond))
+        throw notFound();
+    }
+    return st;
+  });
+};
+
+var parseDateParam = function(req, paramName) {
+  var str = req.query[paramName];
+  if(str === undefined || str === '')
+    return undefined;
+  var d = new Date(str);
+  if(isNaN(d.getTime()))
+    throw wsUtil.invalidQueryError([{path:paramName, message:'invalid date: '+str}]);
+  return d;
+};
+
+
+controller.listRuns = function(req, res) {
+  var id = req.params.id;
+  var options = {
+    since:parseDateParam(req, 'since'),
+    until:parseDateParam(req, 'until'),
+    outcome:req.query.outcome,
+    limit:req.query.limit !== undefined ? +req.query.limit : DEFAULT_LIMIT,
+    skip:req.query.skip !== undefined ? +req.query.skip : 0
+  };
+
+  getReadableTrigger(req, id).then(function() {
+    return ScheduleService.getRuns(id, options).then(function(runs) {
+      res.json({result:runs});
+    });
+  })
+  .then(null, wsUtil.handleError.bind(null, res));
+};
+
+/**
+ * Run the trigger through the same path as a scheduled firing, once the requesting user
+ *  passes its rolespec (sysadmin if it has none)
+**/
+controller.runNow = function(req, res) {
+  var id = req.params.id;
+
+  getReadableTrigger(req, id).then(function(st) {
+    var rolespec = st.rolespec && st.rolespec.length ? st.rolespec : [SYSADMIN_ROLE];
+    return auth.checkRoles(req, rolespec).then(null, function(err) {
+      var authErr = new Error(err);
+      authErr.status = 401;
+      throw authErr;
+    });
+  })
+  .then(function() {
+    return auth.getCurrentUser(req);
+  })
+  .then(function(user) {
+    return ScheduleService.runNow(id, user);
+  })
+  .then(function(run) {
+    var result = run.toObject();
+    result.result = result.result ? JSON.parse(result.result) : null;
+    delete result.__v;
+    res.json({result:result});
+  })
+  .then(null, wsUtil.handleError.bind(null, res));
+};
@@ -0,0 +1,61 @@
+/*
+Copyright (C) 2019  Eugene Lockett  gene@noonian.org
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Affero General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+/*
+ * Full-text Search Web Service
+ *  GET /search?q=...            ranked results across all searchable classes (those w/ _fulltext_matches)
+ *     &classes=Foo,Bar           limit to these classes (a superclass means its subclasses)
+ *     &limit=20&skip=0
+ *  Each result: {class_name, _id, _disp, score, highlights:[{snippet, matches:[{start, end}]}]}
+ */
+'use strict';
+
+var express = require('express');
+
+var conf = require('../conf');
+var wsUtil = require('./util');
+
+var SearchService = require('../api/search');
+
+var controller = {};
+
+var wsRoot = conf.urlBase+'/search';
+
+/**
+ * init()
+**/
+exports.init = function(app) {
+  var router = express.Router();
+
+  router.get('/', wsUtil.wrap(controller.search));
+
+  app.use(wsRoot, router);
+};
+
+
+controller.search = function(req, res) {
+  var classes = req.query.classes ? req.query.classes.split(',') : null;
+
+  SearchService.search(req, req.query.q, {
+    classes:classes,
+    limit:req.query.limit !== undefined ? +req.query.limit : undefined,
+    skip:req.query.skip !== undefined ? +req.query.skip : 0
+  })
+  .then(function(searchResult) {
+    res.json({result:searchResult});
+  })
+  .then(null, wsUtil.handleError.bind(null, res));
+};
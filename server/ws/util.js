@@ -22,6 +22,7 @@ var _ = require('lodash');
 var fs = require('fs');
 
 var authWs = require('./auth');
+var db = require('../api/datasource');
 /**
 * Utility to handle a web service error by
 * 1) logging it to console
@@ -35,9 +36,13 @@ exports.handleError = function(res, err, status) {
     return authWs.redirectToLogin(res);
   }
   
+  var problems, fieldErrors;
   if(err instanceof Error) {
     console.error(err.message);
     console.error(err.stack);
+    status = err.status || status;
+    problems = err.problems;
+    fieldErrors = err.fieldErrors;
     err = err.message;
   }
   else {
@@ -49,7 +54,74 @@ exports.handleError = function(res, err, status) {
   else if(status)
     res.status(status);
 
-  return res.json({error:""+err});
+  var body = {error:""+err};
+  if(problems)
+    body.problems = problems;
+  if(fieldErrors)
+    body.fieldErrors = fieldErrors;  //(failed validation: {path:[message]})
+  return res.json(body);
+};
+
+/**
+ * Error for a request whose query parameters are invalid; responds 400 w/ problems:[{path, message}]
+ **/
+var invalidQueryError =
+exports.invalidQueryError = function(problems) {
+  var err = new Error('invalid query');
+  err.status = 400;
+  err.problems = problems;
+  return err;
+};
+
+/**
+ * Parse a JSON-valued query parameter
+ * @return the parsed value, or undefined if the parameter is absent
+ * @throws invalidQueryError if it isn't valid JSON
+ **/
+var parseJsonParam =
+exports.parseJsonParam = function(req, paramName) {
+  var str = req.query[paramName];
+  if(str === undefined || str === '')
+    return undefined;
+
+  try {
+    return JSON.parse(str);
+  }
+  catch(e) {
+    throw invalidQueryError([{path:paramName, message:'malformed JSON: '+e.message}]);
+  }
+};
+
+/**
+ * Parse and validate the "where" parameter against TargetModel's type descriptors and QueryOps
+ * @return the condition object, or undefined if absent
+ * @throws invalidQueryError
+ **/
+var parseWhereParam =
+exports.parseWhereParam = function(req, TargetModel) {
+  var where = parseJsonParam(req, 'where');
+  if(where === undefined || !TargetModel)
+    return where;
+
+  var problems = db._svc.QueryOpService.validateQuery(where, TargetModel._bo_meta_data);
+  if(problems.length) {
+    throw invalidQueryError(_.map(problems, function(p) {
+      return {path:'where'+(p.path.indexOf('[') === 0 ? '' : '.')+p.path, message:p.message};
+    }));
+  }
+  return where;
+};
+
+/**
+ * @return description of where a request came from, for the audit trail (passed as save option "origin")
+ **/
+exports.requestOrigin = function(req) {
+  return {
+    ip:req.ip,
+    method:req.method,
+    url:req.originalUrl,
+    user_agent:req.get('user-agent') || null
+  };
 };
 
 /**
@@ -74,30 +146,23 @@ exports.wrap = function(controllerFn) {
 /**
  * Grabs/parses all the parameters for a db query from req.query:
  *  select where sort skip limit groupBy
+ *  (where is validated against TargetModel if provided; throws invalidQueryError on malformed/invalid params)
  **/
-exports.extractDbQuery = function(req) {
+exports.extractDbQuery = function(req, TargetModel) {
   var result = {
-    where:{},
+    where:parseWhereParam(req, TargetModel) || {},
     limit:req.query.limit,
     skip:req.query.skip,
     groupBy:req.query.groupBy
   };
 
-  if(req.query.where) {
-    try {
-      result.where = JSON.parse(req.query.where);
-    } catch(e) {console.log(e)}
-  }
-  if(req.query.select) {
-    try {
-      result.select = JSON.parse(req.query.select);
-    } catch(e) {console.log(e)}
-  }
-  if(req.query.sort) {
-    try {
-      result.sort = JSON.parse(req.query.sort);
-    } catch(e) {console.log(e)}
-  }
+  var select = parseJsonParam(req, 'select');
+  if(select !== undefined)
+    result.select = select;
+
+  var sort = parseJsonParam(req, 'sort');
+  if(sort !== undefined)
+    result.sort = sort;
 
   return result;
 }